@@ -0,0 +1,294 @@
+// Analytics Module
+// Local event log of searches and troubleshooting sessions, kept in IndexedDB
+// Events never leave the browser; the dashboard summarizes them per article, step, query and fallback
+
+const DB_NAME = 'stepper-analytics';
+const DB_VERSION = 1;
+const EVENT_STORE = 'events';
+
+// Event types written by the side panel
+const EVENT_TYPES = {
+  SEARCH: 'search',
+  NO_RESULTS: 'no_results',
+  ARTICLE_STARTED: 'article_started',
+  STEP_OUTCOME: 'step_outcome',
+  FALLBACK_TAKEN: 'fallback_taken',
+  RESOLVED: 'resolved',
+  ESCALATED: 'escalated'
+};
+
+// Step outcomes that count as the step not working
+const FAILED_OUTCOMES = ['fail', 'couldnt_do'];
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {number} [id] - Auto-assigned event id
+ * @property {string} type - One of EVENT_TYPES
+ * @property {number} timestamp - When the event happened
+ * @property {string} [sessionId] - Troubleshooting session the event belongs to (article events only)
+ * @property {*} [articleId] - Article the event is about
+ */
+
+let dbPromise = null;
+
+/**
+ * Open the analytics database, creating the event store on first use
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(EVENT_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('type', 'type');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request against the event store and wait for its transaction to finish
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+async function runRequest(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(EVENT_STORE, mode);
+    const request = makeRequest(transaction.objectStore(EVENT_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Append an event to the log. Failures are logged and never reach the caller,
+ * so analytics cannot break the troubleshooting flow.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [data] - Event details
+ */
+async function logEvent(type, data = {}) {
+  try {
+    await runRequest('readwrite', store => store.add({ ...data, type, timestamp: Date.now() }));
+  } catch (error) {
+    console.warn('Failed to log analytics event:', error);
+  }
+}
+
+/**
+ * Read logged events, oldest first
+ * @param {Object} [options] - Filter options
+ * @param {number} [options.since] - Only events at or after this timestamp
+ * @returns {Promise<AnalyticsEvent[]>} - Events
+ */
+async function getEvents(options = {}) {
+  const range = options.since ? IDBKeyRange.lowerBound(options.since) : null;
+  return runRequest('readonly', store => store.index('timestamp').getAll(range));
+}
+
+/**
+ * Delete every logged event
+ */
+async function clearEvents() {
+  await runRequest('readwrite', store => store.clear());
+}
+
+/**
+ * Group events by troubleshooting session. Sessions whose start was not logged
+ * (e.g. the log was cleared part way through) are left out.
+ * @param {AnalyticsEvent[]} events - Events, oldest first
+ * @returns {Map<string, Object>} - Session id -> { start, steps, end }
+ */
+function groupSessions(events) {
+  const sessions = new Map();
+
+  events.forEach(event => {
+    if (event.type === EVENT_TYPES.ARTICLE_STARTED) {
+      sessions.set(event.sessionId, { start: event, steps: [], end: null });
+      return;
+    }
+    const session = sessions.get(event.sessionId);
+    if (!session) {
+      return;
+    }
+    if (event.type === EVENT_TYPES.STEP_OUTCOME) {
+      session.steps.push(event);
+    } else if (event.type === EVENT_TYPES.RESOLVED || event.type === EVENT_TYPES.ESCALATED) {
+      session.end = event;
+    }
+  });
+
+  return sessions;
+}
+
+/**
+ * Resolution rate per article
+ * @param {Map<string, Object>} sessions - Sessions from groupSessions()
+ * @returns {Array} - Objects with articleId, articleTitle, started, resolved, escalated,
+ *   abandoned and resolutionRate (0-1), most started first
+ */
+function summarizeArticles(sessions) {
+  const articles = new Map();
+
+  sessions.forEach(session => {
+    const { articleId, articleTitle } = session.start;
+    if (!articles.has(articleId)) {
+      articles.set(articleId, { articleId, articleTitle, started: 0, resolved: 0, escalated: 0, abandoned: 0 });
+    }
+    const stats = articles.get(articleId);
+    stats.articleTitle = articleTitle;
+    stats.started++;
+    if (!session.end) {
+      stats.abandoned++;
+    } else if (session.end.type === EVENT_TYPES.RESOLVED) {
+      stats.resolved++;
+    } else {
+      stats.escalated++;
+    }
+  });
+
+  return [...articles.values()]
+    .map(stats => ({ ...stats, resolutionRate: stats.resolved / stats.started }))
+    .sort((a, b) => b.started - a.started);
+}
+
+/**
+ * Drop-off per step: how many sessions reached each step, failed it, and ended
+ * there without being resolved or escalated
+ * @param {Map<string, Object>} sessions - Sessions from groupSessions()
+ * @returns {Array} - Objects with articleId, articleTitle, pathId, stepId, stepNumber, stepText,
+ *   reached, failed, dropOffs and dropOffRate (0-1), most drop-offs first
+ */
+function summarizeSteps(sessions) {
+  const steps = new Map();
+
+  sessions.forEach(session => {
+    const { articleId, articleTitle } = session.start;
+    const seen = new Set();
+    session.steps.forEach(event => {
+      const key = JSON.stringify([articleId, event.pathId, event.stepId]);
+      if (!steps.has(key)) {
+        steps.set(key, {
+          articleId,
+          articleTitle,
+          pathId: event.pathId,
+          stepId: event.stepId,
+          stepNumber: event.stepNumber,
+          stepText: event.stepText,
+          reached: 0,
+          failed: 0,
+          dropOffs: 0
+        });
+      }
+      const stats = steps.get(key);
+      if (!seen.has(key)) {
+        seen.add(key);
+        stats.reached++;
+      }
+      if (FAILED_OUTCOMES.includes(event.outcome)) {
+        stats.failed++;
+      }
+    });
+
+    const lastStep = session.steps[session.steps.length - 1];
+    if (!session.end && lastStep) {
+      steps.get(JSON.stringify([articleId, lastStep.pathId, lastStep.stepId])).dropOffs++;
+    }
+  });
+
+  return [...steps.values()]
+    .map(stats => ({ ...stats, dropOffRate: stats.dropOffs / stats.reached }))
+    .sort((a, b) => b.dropOffs - a.dropOffs || b.failed - a.failed);
+}
+
+/**
+ * Queries that found no article, grouped case- and whitespace-insensitively
+ * @param {AnalyticsEvent[]} events - Events, oldest first
+ * @returns {Array} - Objects with query, count and lastSeen, most frequent first
+ */
+function summarizeNoMatchQueries(events) {
+  const queries = new Map();
+
+  events
+    .filter(event => event.type === EVENT_TYPES.NO_RESULTS)
+    .forEach(event => {
+      const query = event.query.trim().toLowerCase().replace(/\s+/g, ' ');
+      const stats = queries.get(query) || { query, count: 0, lastSeen: 0 };
+      stats.count++;
+      stats.lastSeen = Math.max(stats.lastSeen, event.timestamp);
+      queries.set(query, stats);
+    });
+
+  return [...queries.values()].sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+}
+
+/**
+ * How often each fallback path was taken
+ * @param {AnalyticsEvent[]} events - Events, oldest first
+ * @returns {Array} - Objects with articleId, articleTitle, fallbackId, reasonCategory and count,
+ *   most used first
+ */
+function summarizeFallbacks(events) {
+  const fallbacks = new Map();
+
+  events
+    .filter(event => event.type === EVENT_TYPES.FALLBACK_TAKEN)
+    .forEach(event => {
+      const key = JSON.stringify([event.articleId, event.fallbackId]);
+      const stats = fallbacks.get(key) || {
+        articleId: event.articleId,
+        articleTitle: event.articleTitle,
+        fallbackId: event.fallbackId,
+        reasonCategory: event.reasonCategory,
+        count: 0
+      };
+      stats.count++;
+      fallbacks.set(key, stats);
+    });
+
+  return [...fallbacks.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize logged events for the dashboard
+ * @param {AnalyticsEvent[]} events - Events, oldest first
+ * @returns {Object} - Object with totals, articles, steps, noMatchQueries and fallbacks
+ */
+function summarizeEvents(events) {
+  const sessions = groupSessions(events);
+  const articles = summarizeArticles(sessions);
+  const count = type => events.filter(event => event.type === type).length;
+
+  return {
+    totals: {
+      searches: count(EVENT_TYPES.SEARCH),
+      noResults: count(EVENT_TYPES.NO_RESULTS),
+      sessions: sessions.size,
+      resolved: articles.reduce((sum, stats) => sum + stats.resolved, 0),
+      escalated: articles.reduce((sum, stats) => sum + stats.escalated, 0)
+    },
+    articles: articles,
+    steps: summarizeSteps(sessions),
+    noMatchQueries: summarizeNoMatchQueries(events),
+    fallbacks: summarizeFallbacks(events)
+  };
+}
+
+export {
+  EVENT_TYPES,
+  logEvent,
+  getEvents,
+  clearEvents,
+  summarizeEvents
+};
@@ -1,4 +1,50 @@
 // Background service worker for Stepper extension
+import { flushFeedbackQueue } from './feedback.js';
+import { KB_SYNC_ALARM, scheduleKBSync, syncKB } from './kb-sync.js';
+
+// Alarm that retries queued feedback; each entry's own backoff decides when it is resent
+const FEEDBACK_RETRY_ALARM = 'feedback-retry';
+const FEEDBACK_RETRY_PERIOD_MINUTES = 1;
+
 chrome.sidePanel
   .setPanelBehavior({ openPanelOnActionClick: true })
   .catch((error) => console.error(error));
+
+// Make sure the retry alarm exists (alarms survive restarts, but not reinstalls)
+async function ensureFeedbackRetryAlarm() {
+  const alarm = await chrome.alarms.get(FEEDBACK_RETRY_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(FEEDBACK_RETRY_ALARM, { periodInMinutes: FEEDBACK_RETRY_PERIOD_MINUTES });
+  }
+}
+
+// Schedule the KB sync and sync right away, so the first search does not wait for the KB
+async function startKBSync() {
+  await scheduleKBSync();
+  const status = await syncKB();
+  if (status && status.lastError) {
+    console.warn('KB sync failed:', status.lastError);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(ensureFeedbackRetryAlarm);
+chrome.runtime.onStartup.addListener(ensureFeedbackRetryAlarm);
+chrome.runtime.onInstalled.addListener(startKBSync);
+chrome.runtime.onStartup.addListener(startKBSync);
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === KB_SYNC_ALARM) {
+    const status = await syncKB();
+    if (status && status.lastError) {
+      console.warn('KB sync failed:', status.lastError);
+    }
+    return;
+  }
+  if (alarm.name !== FEEDBACK_RETRY_ALARM) {
+    return;
+  }
+  const result = await flushFeedbackQueue();
+  if (result.sent > 0) {
+    console.log('Sent queued feedback:', result);
+  }
+});
@@ -0,0 +1,42 @@
+// Case ID Module
+// Finds the case or ticket id of the page the agent is working in
+
+// Patterns tried in order against the tab URL, then its title. Each captures the id.
+const CASE_ID_PATTERNS = [
+  // Issue-tracker keys such as SUP-1234
+  /\b([A-Z][A-Z0-9]+-\d+)\b/,
+  // "ticket 1234", "/tickets/1234", "case=1234", "Incident #1234", "INC0012345"
+  /\b(?:ticket|case|incident|request|issue|conversation)s?(?:[\s/#:=_-]|%20)*#?([A-Z]{0,4}\d{3,})\b/i,
+  /\b((?:INC|REQ|CS|TKT)\d{4,})\b/i,
+  // Bare "#1234" in a tab title
+  /#(\d{3,})\b/
+];
+
+/**
+ * Extract a case or ticket id from a browser tab's URL and title
+ * @param {string} url - Tab URL
+ * @param {string} title - Tab title
+ * @returns {string|null} - The case id, or null if none was found
+ */
+function extractCaseId(url, title) {
+  for (const text of [url || '', title || '']) {
+    for (const pattern of CASE_ID_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the case id of the active tab in the current window
+ * @returns {Promise<string|null>} - The case id, or null if the tab has none
+ */
+async function getActiveTabCaseId() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab ? extractCaseId(tab.url, tab.title) : null;
+}
+
+export { extractCaseId, getActiveTabCaseId };
@@ -0,0 +1,84 @@
+// CSV Module
+// Formats rows of objects as RFC 4180 CSV and parses CSV text back into rows
+
+/**
+ * Quote a value for CSV if it contains a delimiter, quote or line break
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} - CSV cell
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header line
+ * @param {Object[]} rows - Rows to format
+ * @param {Array} columns - Objects with key (property of each row) and label (header text)
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function toCSV(rows, columns) {
+  const lines = [columns.map(column => formatCell(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCell(row[column.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of cells. Quoted cells may contain delimiters, doubled quotes
+ * and line breaks; a byte order mark and blank lines are skipped.
+ * @param {string} text - CSV text with LF or CRLF line endings
+ * @returns {string[][]} - Rows of cell values
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+export { toCSV, parseCSV };
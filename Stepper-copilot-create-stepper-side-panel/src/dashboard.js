@@ -0,0 +1,247 @@
+// Dashboard Module - Controller for the analytics dashboard page
+import { getEvents, clearEvents, summarizeEvents } from './analytics.js';
+import { toCSV } from './csv.js';
+import { exportFilename, downloadFile } from './export.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns of each summary table; type controls how values are shown and exported
+const TABLE_COLUMNS = {
+  articles: [
+    { key: 'articleTitle', label: 'Article' },
+    { key: 'started', label: 'Started', type: 'number' },
+    { key: 'resolved', label: 'Resolved', type: 'number' },
+    { key: 'escalated', label: 'Escalated', type: 'number' },
+    { key: 'abandoned', label: 'Abandoned', type: 'number' },
+    { key: 'resolutionRate', label: 'Resolution Rate', type: 'percent' }
+  ],
+  steps: [
+    { key: 'articleTitle', label: 'Article' },
+    { key: 'pathId', label: 'Path' },
+    { key: 'stepNumber', label: 'Step', type: 'number' },
+    { key: 'stepText', label: 'Step Text' },
+    { key: 'reached', label: 'Reached', type: 'number' },
+    { key: 'failed', label: 'Failed', type: 'number' },
+    { key: 'dropOffs', label: 'Drop-offs', type: 'number' },
+    { key: 'dropOffRate', label: 'Drop-off Rate', type: 'percent' }
+  ],
+  noMatchQueries: [
+    { key: 'query', label: 'Query' },
+    { key: 'count', label: 'Count', type: 'number' },
+    { key: 'lastSeen', label: 'Last Seen', type: 'date' }
+  ],
+  fallbacks: [
+    { key: 'articleTitle', label: 'Article' },
+    { key: 'fallbackId', label: 'Fallback' },
+    { key: 'reasonCategory', label: 'Reason Category' },
+    { key: 'count', label: 'Times Taken', type: 'number' }
+  ]
+};
+
+// Columns of the raw event export
+const EVENT_COLUMNS = [
+  { key: 'timestamp', label: 'Timestamp', type: 'date' },
+  { key: 'type', label: 'Type' },
+  { key: 'sessionId', label: 'Session' },
+  { key: 'articleId', label: 'Article ID' },
+  { key: 'articleTitle', label: 'Article' },
+  { key: 'query', label: 'Query' },
+  { key: 'resultCount', label: 'Results', type: 'number' },
+  { key: 'pathId', label: 'Path' },
+  { key: 'stepId', label: 'Step ID' },
+  { key: 'outcome', label: 'Outcome' },
+  { key: 'fallbackId', label: 'Fallback' },
+  { key: 'reasonCategory', label: 'Reason Category' },
+  { key: 'condition', label: 'Stop Condition' },
+  { key: 'reason', label: 'Escalation Reason' }
+];
+
+// Events and summary of the selected period
+let events = [];
+let summary = null;
+
+const rangeSelect = document.getElementById('rangeSelect');
+const statusDiv = document.getElementById('dashboardStatus');
+
+// Start of the selected period, or null for all time
+function getRangeStart() {
+  const days = rangeSelect.value;
+  return days === 'all' ? null : Date.now() - Number(days) * DAY_MS;
+}
+
+// Format a value for display in a table cell
+function formatDisplayValue(value, type) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (type === 'percent') {
+    return `${Math.round(value * 100)}%`;
+  }
+  if (type === 'date') {
+    return new Date(value).toLocaleString();
+  }
+  return String(value);
+}
+
+// Format a value for export: rates as fractions, dates as ISO timestamps
+function formatExportValue(value, type) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (type === 'percent') {
+    return Math.round(value * 1000) / 1000;
+  }
+  if (type === 'date') {
+    return new Date(value).toISOString();
+  }
+  return value;
+}
+
+// Render the headline numbers
+function renderTotals() {
+  const totals = summary.totals;
+  const cards = [
+    { label: 'Searches', value: totals.searches },
+    { label: 'Searches without results', value: totals.noResults },
+    { label: 'Sessions', value: totals.sessions },
+    { label: 'Resolved', value: totals.resolved },
+    { label: 'Escalated', value: totals.escalated }
+  ];
+  const container = document.getElementById('totals');
+  container.innerHTML = '';
+
+  cards.forEach(card => {
+    const element = document.createElement('div');
+    element.className = 'total-card';
+    const value = document.createElement('div');
+    value.className = 'total-value';
+    value.textContent = card.value;
+    const label = document.createElement('div');
+    label.className = 'total-label';
+    label.textContent = card.label;
+    element.appendChild(value);
+    element.appendChild(label);
+    container.appendChild(element);
+  });
+}
+
+// Render one summary table
+function renderTable(name) {
+  const container = document.getElementById(`${name}Table`);
+  const columns = TABLE_COLUMNS[name];
+  const rows = summary[name];
+  container.innerHTML = '';
+
+  if (rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = 'No data for this period yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  const headerRow = document.createElement('tr');
+  columns.forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = column.label;
+    if (column.type === 'number' || column.type === 'percent') {
+      th.className = 'number';
+    }
+    headerRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    columns.forEach(column => {
+      const td = document.createElement('td');
+      td.textContent = formatDisplayValue(row[column.key], column.type);
+      if (column.type === 'number' || column.type === 'percent') {
+        td.className = 'number';
+      }
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+// Load the events of the selected period and render the dashboard
+async function loadDashboard() {
+  try {
+    events = await getEvents({ since: getRangeStart() });
+  } catch (error) {
+    console.error('Failed to load analytics events:', error);
+    events = [];
+  }
+  summary = summarizeEvents(events);
+
+  renderTotals();
+  Object.keys(TABLE_COLUMNS).forEach(renderTable);
+}
+
+// Show a status message below the toolbar for a few seconds
+function showStatus(message, type) {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  setTimeout(() => {
+    statusDiv.className = 'status';
+  }, 5000);
+}
+
+// Export rows as CSV using the export format of their columns
+function exportCSV(name, rows, columns) {
+  const exportRows = rows.map(row => {
+    const exportRow = {};
+    columns.forEach(column => {
+      exportRow[column.key] = formatExportValue(row[column.key], column.type);
+    });
+    return exportRow;
+  });
+  downloadFile(exportFilename(`analytics-${name}`, 'csv'), toCSV(exportRows, columns), 'text/csv');
+}
+
+// Export the summary and the raw events of the selected period as JSON
+function exportJSON() {
+  const rangeStart = getRangeStart();
+  const data = {
+    exportedAt: new Date().toISOString(),
+    since: rangeStart ? new Date(rangeStart).toISOString() : null,
+    summary: summary,
+    events: events
+  };
+  downloadFile(exportFilename('analytics-report', 'json'), JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Delete all logged events after confirmation
+async function clearData() {
+  if (!confirm('Delete all analytics events? This cannot be undone.')) {
+    return;
+  }
+  try {
+    await clearEvents();
+  } catch (error) {
+    console.error('Failed to clear analytics events:', error);
+    showStatus(`✗ Failed to clear data: ${error.message}`, 'error');
+    return;
+  }
+  await loadDashboard();
+}
+
+rangeSelect.addEventListener('change', loadDashboard);
+document.getElementById('exportJsonBtn').addEventListener('click', exportJSON);
+document.getElementById('exportEventsCsvBtn').addEventListener('click', () => {
+  exportCSV('events', events, EVENT_COLUMNS);
+});
+document.getElementById('clearDataBtn').addEventListener('click', clearData);
+document.querySelectorAll('[data-export]').forEach(button => {
+  const name = button.dataset.export;
+  button.addEventListener('click', () => exportCSV(name, summary[name], TABLE_COLUMNS[name]));
+});
+
+loadDashboard();
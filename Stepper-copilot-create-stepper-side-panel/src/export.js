@@ -0,0 +1,311 @@
+// Export Module
+// Formats the loaded KB as JSON, CSV or Markdown and single articles as Markdown or printable HTML
+// CSV and Markdown use the layout kb-import.js reads, so an exported KB can be imported again
+
+import { toCSV } from './csv.js';
+
+// Columns of a KB CSV export: one row per step, with the article's fields repeated on every row
+const KB_CSV_COLUMNS = [
+  { key: 'article_id', label: 'article_id' },
+  { key: 'title', label: 'title' },
+  { key: 'product', label: 'product' },
+  { key: 'version', label: 'version' },
+  { key: 'tags', label: 'tags' },
+  { key: 'summary', label: 'summary' },
+  { key: 'prechecks', label: 'prechecks' },
+  { key: 'stop_conditions', label: 'stop_conditions' },
+  { key: 'escalation_when', label: 'escalation_when' },
+  { key: 'escalation_target', label: 'escalation_target' },
+  { key: 'step_id', label: 'step_id' },
+  { key: 'step_text', label: 'step_text' },
+  { key: 'step_type', label: 'step_type' },
+  { key: 'expected', label: 'expected' },
+  { key: 'say_to_customer', label: 'say_to_customer' },
+  { key: 'fallback_id', label: 'fallback_id' },
+  { key: 'reason_category', label: 'reason_category' },
+  { key: 'trigger_keywords', label: 'trigger_keywords' }
+];
+
+/**
+ * Drop the fields the loader adds when merging sources, leaving the enhanced model
+ * @param {Object} article - Article from getAllArticles()
+ * @returns {Object} - The article without sourceId and sourceName
+ */
+function toPortableArticle(article) {
+  const { sourceId, sourceName, ...portable } = article;
+  return portable;
+}
+
+/**
+ * Format the KB as JSON, in the payload format a KB source returns
+ * @param {Array} articles - Articles in the enhanced model
+ * @param {string|null} [version] - KB version
+ * @returns {string} - Pretty-printed JSON with exportedAt, version and articles
+ */
+function formatKBJSON(articles, version = null) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    version: version,
+    articles: articles.map(toPortableArticle)
+  }, null, 2);
+}
+
+/**
+ * Format the KB as CSV with one row per step; fallback steps carry their fallback's columns
+ * @param {Array} articles - Articles in the enhanced model
+ * @returns {string} - CSV text
+ */
+function formatKBCSV(articles) {
+  const rows = [];
+  articles.forEach(article => {
+    const articleColumns = {
+      article_id: article.id,
+      title: article.title,
+      product: article.product,
+      version: article.version,
+      tags: article.tags,
+      summary: article.summary,
+      prechecks: article.prechecks,
+      stop_conditions: article.stop_conditions,
+      escalation_when: article.escalation ? article.escalation.when : '',
+      escalation_target: article.escalation ? article.escalation.target : ''
+    };
+    const addStep = (step, fallback) => rows.push({
+      ...articleColumns,
+      step_id: step.id,
+      step_text: step.text,
+      step_type: step.type,
+      expected: step.expected,
+      say_to_customer: step.say_to_customer,
+      fallback_id: fallback ? fallback.id : '',
+      reason_category: fallback ? fallback.reason_category : '',
+      trigger_keywords: fallback ? fallback.trigger_keywords : ''
+    });
+
+    article.steps.forEach(step => addStep(step, null));
+    (article.fallbacks || []).forEach(fallback => fallback.steps.forEach(step => addStep(step, fallback)));
+  });
+  return toCSV(rows, KB_CSV_COLUMNS);
+}
+
+/**
+ * Format a fallback reason category as words (e.g. "emails_stuck_in_outbox")
+ * @param {string} category - Reason category
+ * @returns {string} - e.g. "emails stuck in outbox"
+ */
+function formatReason(category) {
+  return (category || '').replace(/_/g, ' ');
+}
+
+/**
+ * Format steps as a numbered Markdown list, with the step id and details as bullets under each step
+ * @param {Array} steps - Steps in the enhanced model
+ * @returns {string[]} - Markdown lines
+ */
+function formatMarkdownSteps(steps) {
+  const lines = [];
+  steps.forEach((step, index) => {
+    lines.push(`${index + 1}. ${step.text}`);
+    if (step.id) {
+      lines.push(`   - ID: ${step.id}`);
+    }
+    if (step.expected) {
+      lines.push(`   - Expected: ${step.expected}`);
+    }
+    if (step.say_to_customer) {
+      lines.push(`   - Say: ${step.say_to_customer}`);
+    }
+    if (step.type && step.type !== 'action') {
+      lines.push(`   - Type: ${step.type}`);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Format an article as a Markdown runbook
+ * @param {Object} article - Article in the enhanced model
+ * @param {number} [level] - Heading level of the article title (sections are one level below)
+ * @returns {string} - Markdown text
+ */
+function formatArticleMarkdown(article, level = 1) {
+  const heading = '#'.repeat(level);
+  const section = '#'.repeat(level + 1);
+  const lines = [`${heading} ${article.title}`, '', `ID: ${article.id}`];
+  if (article.product) {
+    lines.push(`Product: ${article.product}`);
+  }
+  if (article.version) {
+    lines.push(`Version: ${article.version}`);
+  }
+  if (article.tags && article.tags.length > 0) {
+    lines.push(`Tags: ${article.tags.join(', ')}`);
+  }
+  if (article.summary) {
+    lines.push('', article.summary);
+  }
+
+  if (article.prechecks && article.prechecks.length > 0) {
+    lines.push('', `${section} Prechecks`, '', ...article.prechecks.map(precheck => `- ${precheck}`));
+  }
+  lines.push('', `${section} Steps`, '', ...formatMarkdownSteps(article.steps));
+
+  (article.fallbacks || []).forEach(fallback => {
+    lines.push('', `${section} Fallback: ${formatReason(fallback.reason_category)}`, '', `ID: ${fallback.id}`);
+    if (fallback.trigger_keywords && fallback.trigger_keywords.length > 0) {
+      lines.push(`Triggers: ${fallback.trigger_keywords.join(', ')}`);
+    }
+    lines.push(...formatMarkdownSteps(fallback.steps));
+  });
+
+  if (article.stop_conditions && article.stop_conditions.length > 0) {
+    lines.push('', `${section} Stop conditions`, '', ...article.stop_conditions.map(condition => `- ${condition}`));
+  }
+  if (article.escalation) {
+    lines.push('', `${section} Escalation`, '', `When: ${article.escalation.when}`, `Target: ${article.escalation.target}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format the KB as one Markdown document with an article per second-level heading
+ * @param {Array} articles - Articles in the enhanced model
+ * @param {string} [title] - Document title
+ * @returns {string} - Markdown text
+ */
+function formatKBMarkdown(articles, title = 'Knowledge Base') {
+  const sections = articles.map(article => formatArticleMarkdown(article, 2));
+  return [`# ${title}`, '', `Exported ${new Date().toISOString()}`, '', sections.join('\n')].join('\n');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} text - Text to escape
+ * @returns {string} - HTML-safe text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format steps as an HTML ordered list with their details
+ * @param {Array} steps - Steps in the enhanced model
+ * @returns {string} - HTML
+ */
+function formatHTMLSteps(steps) {
+  const items = steps.map(step => {
+    const details = [
+      step.type === 'check' ? '<span class="tag">Check</span>' : '',
+      step.expected ? `<p class="detail"><strong>Expected:</strong> ${escapeHTML(step.expected)}</p>` : '',
+      step.say_to_customer ? `<p class="detail"><strong>Say:</strong> “${escapeHTML(step.say_to_customer)}”</p>` : ''
+    ].join('');
+    return `<li>${escapeHTML(step.text)}${details}</li>`;
+  });
+  return `<ol>${items.join('')}</ol>`;
+}
+
+/**
+ * Format an article as a standalone HTML page styled for printing
+ * @param {Object} article - Article in the enhanced model
+ * @returns {string} - HTML document
+ */
+function formatArticleHTML(article) {
+  const list = items => `<ul>${items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>`;
+  const meta = [
+    [article.product, article.version].filter(Boolean).join(' '),
+    article.tags && article.tags.length > 0 ? `Tags: ${article.tags.join(', ')}` : '',
+    `ID: ${article.id}`
+  ].filter(Boolean).map(escapeHTML).join(' · ');
+
+  const body = [`<h1>${escapeHTML(article.title)}</h1>`, `<p class="meta">${meta}</p>`];
+  if (article.summary) {
+    body.push(`<p>${escapeHTML(article.summary)}</p>`);
+  }
+  if (article.prechecks && article.prechecks.length > 0) {
+    body.push('<h2>Prechecks</h2>', list(article.prechecks));
+  }
+  body.push('<h2>Steps</h2>', formatHTMLSteps(article.steps));
+  (article.fallbacks || []).forEach(fallback => {
+    body.push(`<h2>If it didn't work: ${escapeHTML(formatReason(fallback.reason_category))}</h2>`, formatHTMLSteps(fallback.steps));
+  });
+  if (article.stop_conditions && article.stop_conditions.length > 0) {
+    body.push('<h2>Stop conditions</h2>', list(article.stop_conditions));
+  }
+  if (article.escalation) {
+    body.push('<h2>Escalation</h2>',
+      `<p><strong>When:</strong> ${escapeHTML(article.escalation.when)}</p>`,
+      `<p><strong>Escalate to:</strong> ${escapeHTML(article.escalation.target)}</p>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(article.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #1f2937; line-height: 1.5; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  h2 { font-size: 18px; margin-top: 28px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .meta { color: #6b7280; font-size: 14px; }
+  li { margin-bottom: 10px; }
+  .detail { margin: 4px 0 0; font-size: 14px; color: #4b5563; }
+  .tag { margin-left: 8px; padding: 1px 6px; border: 1px solid #9ca3af; border-radius: 4px; font-size: 12px; }
+  @media print { body { margin: 0; max-width: none; } h2, li { break-inside: avoid; } }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Turn text into a file name part, e.g. "Email Not Sending - Outlook" -> "email-not-sending-outlook"
+ * @param {string} text - Text such as an article title
+ * @returns {string} - Lowercase words joined by dashes
+ */
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+}
+
+/**
+ * Build the file name of an export, e.g. stepper-kb-2024-05-01.csv
+ * @param {string} name - What is exported, e.g. "kb" or an article title
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+function exportFilename(name, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `stepper-${slugify(name)}-${date}.${extension}`;
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} text - File content
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking in the same task can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export {
+  formatKBJSON,
+  formatKBCSV,
+  formatKBMarkdown,
+  formatArticleMarkdown,
+  formatArticleHTML,
+  exportFilename,
+  downloadFile
+};
@@ -0,0 +1,143 @@
+// Facets Module
+// Product and version facets: version parsing, facet lists, query detection and filtering
+
+import { tokenizeWords, stem } from './search-index.js';
+
+// Spans wider than this ("1-2000") are not treated as version ranges
+const MAX_VERSION_RANGE_SPAN = 50;
+
+/**
+ * Parse an article's version field into the versions it covers.
+ * Lists ("2019/2021/365", "10, 11") and numeric ranges ("2016-2019") are supported.
+ * @param {string} version - Version field, e.g. "2019/2021/365" or "Web"
+ * @returns {string[]} - Lowercased versions, e.g. ["2019", "2021", "365"]
+ */
+function parseVersions(version) {
+  if (!version) {
+    return [];
+  }
+
+  const versions = [];
+  String(version).toLowerCase().split(/\s*(?:[/,|;&]|\bor\b|\band\b)\s*/).forEach(part => {
+    const trimmed = part.trim();
+    const range = trimmed.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range && Number(range[2]) > Number(range[1]) &&
+        Number(range[2]) - Number(range[1]) <= MAX_VERSION_RANGE_SPAN) {
+      for (let v = Number(range[1]); v <= Number(range[2]); v++) {
+        versions.push(String(v));
+      }
+    } else if (trimmed) {
+      versions.push(trimmed);
+    }
+  });
+
+  return [...new Set(versions)];
+}
+
+/**
+ * List the products in a KB with the versions their articles cover
+ * @param {Array} articles - Articles in the enhanced model
+ * @returns {Array} - Objects with product, versions and articleCount, sorted by product
+ */
+function getFacets(articles) {
+  const products = new Map();
+
+  articles.forEach(article => {
+    if (!article.product) {
+      return;
+    }
+    if (!products.has(article.product)) {
+      products.set(article.product, { product: article.product, versions: new Set(), articleCount: 0 });
+    }
+    const facet = products.get(article.product);
+    facet.articleCount++;
+    parseVersions(article.version).forEach(version => facet.versions.add(version));
+  });
+
+  return [...products.values()]
+    .map(facet => ({ ...facet, versions: [...facet.versions].sort(compareVersions) }))
+    .sort((a, b) => a.product.localeCompare(b.product));
+}
+
+/**
+ * Sort versions numerically where possible ("10" before "365" before "2019"), then by name
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Sort order
+ */
+function compareVersions(a, b) {
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (!isNaN(numberA) && !isNaN(numberB)) {
+    return numberA - numberB;
+  }
+  if (!isNaN(numberA) !== !isNaN(numberB)) {
+    return isNaN(numberA) ? 1 : -1;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Detect the product and version a query is about, e.g. "outlook 365" ->
+ * Microsoft Outlook, 365. A product is detected from the words of its name that
+ * no other product shares, so "Windows 11" finds "Windows PC" but "applications"
+ * alone picks no product; a mentioned version breaks ties ("gmail web" -> Gmail).
+ * @param {string} query - Free-text query
+ * @param {Array} facets - Facets from getFacets()
+ * @returns {Object} - Object with product and version, each null when not detected
+ */
+function detectFacets(query, facets) {
+  const queryTerms = new Set(tokenizeWords(query).map(stem));
+  // Versions can be single characters ("7") or dotted ("16.0"), which word tokenizing drops
+  const versionWords = query.toLowerCase().split(/[^a-z0-9.]+/);
+
+  // How many product names each term appears in
+  const termProductCounts = new Map();
+  const productTerms = facets.map(facet => {
+    const terms = new Set(tokenizeWords(facet.product).map(stem));
+    terms.forEach(term => termProductCounts.set(term, (termProductCounts.get(term) || 0) + 1));
+    return terms;
+  });
+
+  let best = null;
+  let bestScore = 0;
+  let tied = false;
+  facets.forEach((facet, index) => {
+    const hits = [...productTerms[index]]
+      .filter(term => termProductCounts.get(term) === 1 && queryTerms.has(term))
+      .length;
+    if (hits === 0) {
+      return;
+    }
+    const version = facet.versions.find(candidate => versionWords.includes(candidate)) || null;
+    const score = hits + (version ? 0.5 : 0);
+    if (score > bestScore) {
+      best = { product: facet.product, version };
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore) {
+      tied = true;
+    }
+  });
+
+  return best && !tied ? best : { product: null, version: null };
+}
+
+/**
+ * Check whether an article passes product and version filters.
+ * Articles without a version apply to every version of their product.
+ * @param {Object} article - Article in the enhanced model
+ * @param {Object} filters - Object with product and version (either may be empty)
+ * @returns {boolean} - True if the article passes
+ */
+function matchesFacets(article, filters) {
+  if (filters.product && (article.product || '').toLowerCase() !== filters.product.toLowerCase()) {
+    return false;
+  }
+  if (filters.version && article.version) {
+    return parseVersions(article.version).includes(filters.version.toLowerCase());
+  }
+  return true;
+}
+
+export { parseVersions, getFacets, detectFacets, matchesFacets };
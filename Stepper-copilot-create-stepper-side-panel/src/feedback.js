@@ -0,0 +1,277 @@
+// Feedback Module
+// Posts structured article feedback to the configured endpoint
+// Feedback that cannot be sent is queued in chrome.storage and retried with backoff, up to a
+// maximum queue size and number of attempts
+
+// Storage keys
+const STORAGE_KEY_ENDPOINT = 'feedback_endpoint';
+const STORAGE_KEY_QUEUE = 'feedback_queue';
+const STORAGE_KEY_DROPPED = 'feedback_dropped';
+
+// Retry delays double from the base delay up to the maximum
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Entries beyond the queue size (oldest first) or past the attempt limit are dropped
+const FEEDBACK_QUEUE_MAX_SIZE = 100;
+const FEEDBACK_MAX_ATTEMPTS = 10;
+
+/**
+ * @typedef {Object} FeedbackPayload
+ * @property {*} articleId - Article the feedback is about
+ * @property {string|null} stepId - Step the agent was on
+ * @property {string} reasonCategory - Why the article did not work (fallback reason category or outcome)
+ * @property {string} text - The agent's free-text feedback
+ * @property {string} query - The issue description that led to the article
+ * @property {string} kbVersion - Version of the KB the article came from
+ * @property {string} timestamp - ISO timestamp of the feedback
+ */
+
+/**
+ * @typedef {Object} QueuedFeedback
+ * @property {string} id - Queue entry id
+ * @property {FeedbackPayload} payload - The feedback
+ * @property {number} attempts - Failed send attempts so far
+ * @property {number} nextAttemptAt - Timestamp before which the entry is not retried
+ * @property {string} lastError - Error of the last failed attempt
+ */
+
+/**
+ * Build the feedback payload
+ * @param {Object} details - Feedback details
+ * @param {Object} details.article - The article the feedback is about
+ * @param {string|null} details.stepId - Step the agent was on
+ * @param {string} details.reasonCategory - Why the article did not work
+ * @param {string} details.text - The agent's feedback
+ * @param {string} details.query - The issue description
+ * @param {string} details.kbVersion - KB version
+ * @returns {FeedbackPayload} - Structured payload
+ */
+function buildFeedbackPayload({ article, stepId, reasonCategory, text, query, kbVersion }) {
+  return {
+    articleId: article.id,
+    stepId: stepId || null,
+    reasonCategory: reasonCategory || 'unspecified',
+    text: text,
+    query: query || '',
+    kbVersion: kbVersion || 'unknown',
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the feedback endpoint URL
+ * @returns {Promise<string>} - The endpoint, or an empty string if none is configured
+ */
+async function getFeedbackEndpoint() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_ENDPOINT]);
+    return result[STORAGE_KEY_ENDPOINT] || '';
+  } catch (error) {
+    console.warn('Failed to load feedback endpoint from storage:', error);
+    return '';
+  }
+}
+
+/**
+ * Check that a feedback endpoint is an http(s) URL
+ * @param {string} url - The endpoint
+ * @returns {boolean} - True if feedback can be posted to it
+ */
+function isValidEndpoint(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Set the feedback endpoint URL and save it to storage
+ * @param {string} url - The endpoint to post feedback to, or an empty string to clear it
+ */
+async function setFeedbackEndpoint(url) {
+  if (url && !isValidEndpoint(url)) {
+    throw new Error('Feedback endpoint must be an http(s) URL');
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY_ENDPOINT]: url });
+}
+
+/**
+ * Post one feedback payload
+ * @param {string} endpoint - Endpoint URL
+ * @param {FeedbackPayload} payload - The feedback
+ */
+async function postFeedback(endpoint, payload) {
+  if (!endpoint) {
+    throw new Error('No feedback endpoint configured');
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+}
+
+/**
+ * Delay before the next attempt after a number of failed attempts
+ * @param {number} attempts - Failed attempts so far (at least 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Get the queued feedback
+ * @returns {Promise<QueuedFeedback[]>} - Queue entries, oldest first
+ */
+async function getFeedbackQueue() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_QUEUE]);
+    return Array.isArray(result[STORAGE_KEY_QUEUE]) ? result[STORAGE_KEY_QUEUE] : [];
+  } catch (error) {
+    console.error('Failed to load feedback queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Get how many queued feedback entries were dropped because the queue was full or they kept failing
+ * @returns {Promise<number>} - Dropped entries
+ */
+async function getDroppedFeedbackCount() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_DROPPED]);
+    return result[STORAGE_KEY_DROPPED] || 0;
+  } catch (error) {
+    console.error('Failed to load dropped feedback count:', error);
+    return 0;
+  }
+}
+
+/**
+ * Save the queue, adding the entries dropped from it to the dropped count
+ * @param {QueuedFeedback[]} queue - Queue entries, oldest first
+ * @param {number} dropped - Entries dropped from the queue
+ */
+async function saveFeedbackQueue(queue, dropped) {
+  const values = { [STORAGE_KEY_QUEUE]: queue };
+  if (dropped > 0) {
+    console.warn(`Dropped ${dropped} queued feedback item${dropped === 1 ? '' : 's'}`);
+    values[STORAGE_KEY_DROPPED] = await getDroppedFeedbackCount() + dropped;
+  }
+  await chrome.storage.local.set(values);
+}
+
+/**
+ * Add feedback to the retry queue, dropping the oldest entries when it is full
+ * @param {FeedbackPayload} payload - The feedback
+ * @param {string} error - Why it could not be sent
+ */
+async function enqueueFeedback(payload, error) {
+  const queue = await getFeedbackQueue();
+  queue.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    payload: payload,
+    attempts: 1,
+    nextAttemptAt: Date.now() + retryDelay(1),
+    lastError: error
+  });
+  const dropped = Math.max(queue.length - FEEDBACK_QUEUE_MAX_SIZE, 0);
+  await saveFeedbackQueue(queue.slice(dropped), dropped);
+}
+
+/**
+ * Send feedback now, or queue it for retry if that fails. Without an endpoint the feedback
+ * is queued until one is configured.
+ * @param {FeedbackPayload} payload - The feedback
+ * @returns {Promise<Object>} - Object with status ('sent', 'queued' or 'not_configured') and error when not sent
+ */
+async function sendFeedback(payload) {
+  const endpoint = await getFeedbackEndpoint();
+  if (!endpoint) {
+    const error = 'No feedback endpoint configured';
+    await enqueueFeedback(payload, error);
+    return { status: 'not_configured', error: error };
+  }
+
+  try {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new Error('Offline');
+    }
+    await postFeedback(endpoint, payload);
+    return { status: 'sent' };
+  } catch (error) {
+    console.warn('Failed to send feedback, queueing it:', error.message);
+    await enqueueFeedback(payload, error.message);
+    return { status: 'queued', error: error.message };
+  }
+}
+
+/**
+ * Retry the queued feedback that is due, backing off entries that fail again and dropping
+ * entries that reach the attempt limit
+ * @param {Object} [options] - Flush options
+ * @param {boolean} [options.force] - Retry every entry, due or not
+ * @returns {Promise<Object>} - Counts of sent, dropped and remaining entries
+ */
+async function flushFeedbackQueue(options = {}) {
+  const endpoint = await getFeedbackEndpoint();
+  const queue = await getFeedbackQueue();
+  const now = Date.now();
+  const due = queue.filter(entry => options.force || entry.nextAttemptAt <= now);
+  if (!endpoint || due.length === 0) {
+    return { sent: 0, dropped: 0, remaining: queue.length };
+  }
+
+  const sentIds = new Set();
+  const failures = new Map();
+  for (const entry of due) {
+    try {
+      await postFeedback(endpoint, entry.payload);
+      sentIds.add(entry.id);
+    } catch (error) {
+      failures.set(entry.id, error.message);
+    }
+  }
+
+  // Re-read the queue so entries added while sending are kept
+  const latest = await getFeedbackQueue();
+  const unsent = latest.filter(entry => !sentIds.has(entry.id));
+  const updated = unsent
+    .filter(entry => !failures.has(entry.id) || entry.attempts + 1 < FEEDBACK_MAX_ATTEMPTS)
+    .map(entry => {
+      if (!failures.has(entry.id)) {
+        return entry;
+      }
+      const attempts = entry.attempts + 1;
+      return {
+        ...entry,
+        attempts: attempts,
+        nextAttemptAt: Date.now() + retryDelay(attempts),
+        lastError: failures.get(entry.id)
+      };
+    });
+  const dropped = unsent.length - updated.length;
+  await saveFeedbackQueue(updated, dropped);
+
+  return { sent: sentIds.size, dropped: dropped, remaining: updated.length };
+}
+
+export {
+  FEEDBACK_QUEUE_MAX_SIZE,
+  FEEDBACK_MAX_ATTEMPTS,
+  buildFeedbackPayload,
+  getFeedbackEndpoint,
+  setFeedbackEndpoint,
+  sendFeedback,
+  getFeedbackQueue,
+  getDroppedFeedbackCount,
+  flushFeedbackQueue
+};
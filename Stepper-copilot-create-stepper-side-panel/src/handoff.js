@@ -0,0 +1,236 @@
+// Handoff Module
+// Builds the escalation handoff packet and formats it as plain text, Markdown or JSON
+// The article name, prechecks, steps and fallbacks formatters are shared with transcript.js
+
+/**
+ * @typedef {Object} HandoffPacket
+ * @property {string} target - Team the issue is escalated to
+ * @property {string} escalationWhen - The article's escalation condition
+ * @property {string} reason - Why the issue is being escalated
+ * @property {string} issue - The issue as described by the agent
+ * @property {Object} article - Id, title, product and version of the article used
+ * @property {Array} prechecks - Prechecks with their status
+ * @property {Array} steps - Steps tried, with path and outcome
+ * @property {Array} fallbacks - Fallback paths tried
+ * @property {string} notes - Agent notes
+ * @property {string} createdAt - ISO timestamp of the packet
+ */
+
+/**
+ * Build the handoff packet for an escalated session
+ * @param {object} record - Session record from StepManager.getSessionRecord()
+ * @param {object} article - The article the session used
+ * @returns {HandoffPacket} - Structured handoff packet
+ */
+function buildHandoffPacket(record, article) {
+  const escalation = article.escalation;
+  const resolution = record.resolution || {};
+
+  return {
+    target: escalation ? escalation.target : 'Unassigned',
+    escalationWhen: escalation ? escalation.when : '',
+    reason: resolution.reason || '',
+    issue: record.query,
+    article: {
+      id: article.id,
+      title: article.title,
+      product: article.product,
+      version: article.version || ''
+    },
+    prechecks: record.prechecks.map(precheck => ({
+      text: precheck.text,
+      status: precheck.status || 'not checked'
+    })),
+    steps: record.steps.map(step => ({
+      id: step.stepId,
+      text: step.text,
+      path: step.pathId,
+      outcome: step.outcome
+    })),
+    fallbacks: record.fallbacksTaken.map(fallback => ({
+      id: fallback.fallbackId,
+      reasonCategory: fallback.reasonCategory,
+      fromStepId: fallback.fromStepId
+    })),
+    notes: record.notes,
+    createdAt: new Date(resolution.at || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Format the article name with product and version
+ * @param {object} article - Article part of a packet or transcript
+ * @returns {string} - e.g. "Email Not Sending - Outlook (Microsoft Outlook 2019/2021/365)"
+ */
+function formatArticleName(article) {
+  const product = [article.product, article.version].filter(Boolean).join(' ');
+  return product ? `${article.title} (${product})` : article.title;
+}
+
+/**
+ * Format prechecks as indented plain-text lines
+ * @param {Array} prechecks - Prechecks with text and status
+ * @returns {string[]} - Plain-text lines
+ */
+function formatPrechecksText(prechecks) {
+  if (prechecks.length === 0) {
+    return ['  (none)'];
+  }
+  return prechecks.map(precheck => `  - ${precheck.text}: ${precheck.status}`);
+}
+
+/**
+ * Format steps as numbered plain-text lines, with the path of steps outside the main path
+ * @param {Array} steps - Steps with text, path and outcome
+ * @returns {string[]} - Plain-text lines
+ */
+function formatStepsText(steps) {
+  if (steps.length === 0) {
+    return ['  (none)'];
+  }
+  return steps.map((step, index) => {
+    const path = step.path === 'main' ? '' : ` [${step.path}]`;
+    return `  ${index + 1}. ${step.text}${path}: ${step.outcome}`;
+  });
+}
+
+/**
+ * Format fallbacks as indented plain-text lines
+ * @param {Array} fallbacks - Fallbacks with reasonCategory and fromStepId
+ * @returns {string[]} - Plain-text lines
+ */
+function formatFallbacksText(fallbacks) {
+  if (fallbacks.length === 0) {
+    return ['  (none)'];
+  }
+  return fallbacks.map(fallback => `  - ${fallback.reasonCategory} (from ${fallback.fromStepId})`);
+}
+
+/**
+ * Format prechecks as a Markdown checklist
+ * @param {Array} prechecks - Prechecks with text and status
+ * @returns {string[]} - Markdown lines
+ */
+function formatPrechecksMarkdown(prechecks) {
+  if (prechecks.length === 0) {
+    return ['_None_'];
+  }
+  return prechecks.map(precheck => {
+    const box = precheck.status === 'passed' ? '[x]' : '[ ]';
+    return `- ${box} ${precheck.text} (${precheck.status})`;
+  });
+}
+
+/**
+ * Format steps as a Markdown table
+ * @param {Array} steps - Steps with text, path and outcome
+ * @returns {string[]} - Markdown lines
+ */
+function formatStepsMarkdown(steps) {
+  if (steps.length === 0) {
+    return ['_None_'];
+  }
+  return [
+    '| # | Step | Path | Outcome |',
+    '|---|------|------|---------|',
+    ...steps.map((step, index) => `| ${index + 1} | ${step.text.replace(/\|/g, '\\|')} | ${step.path} | ${step.outcome} |`)
+  ];
+}
+
+/**
+ * Format fallbacks as a Markdown list
+ * @param {Array} fallbacks - Fallbacks with reasonCategory and fromStepId
+ * @returns {string[]} - Markdown lines
+ */
+function formatFallbacksMarkdown(fallbacks) {
+  if (fallbacks.length === 0) {
+    return ['_None_'];
+  }
+  return fallbacks.map(fallback => `- ${fallback.reasonCategory} (from \`${fallback.fromStepId}\`)`);
+}
+
+/**
+ * Format the packet as plain text
+ * @param {HandoffPacket} packet - The handoff packet
+ * @returns {string} - Plain-text handoff
+ */
+function formatHandoffText(packet) {
+  const lines = [
+    `ESCALATION TO: ${packet.target}`,
+    `Reason: ${packet.reason || '-'}`,
+    `Created: ${packet.createdAt}`,
+    '',
+    `Issue: ${packet.issue || '-'}`,
+    `Article: ${formatArticleName(packet.article)}`,
+    '',
+    'Prechecks:',
+    ...formatPrechecksText(packet.prechecks),
+    '',
+    'Steps tried:',
+    ...formatStepsText(packet.steps),
+    '',
+    'Fallbacks tried:',
+    ...formatFallbacksText(packet.fallbacks),
+    '',
+    'Agent notes:',
+    packet.notes || '(none)'
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Format the packet as Markdown
+ * @param {HandoffPacket} packet - The handoff packet
+ * @returns {string} - Markdown handoff
+ */
+function formatHandoffMarkdown(packet) {
+  const lines = [
+    `## Escalation to ${packet.target}`,
+    '',
+    `**Reason:** ${packet.reason || '-'}  `,
+    `**Created:** ${packet.createdAt}`,
+    '',
+    `**Issue:** ${packet.issue || '-'}  `,
+    `**Article:** ${formatArticleName(packet.article)}`,
+    '',
+    '### Prechecks',
+    '',
+    ...formatPrechecksMarkdown(packet.prechecks),
+    '',
+    '### Steps tried',
+    '',
+    ...formatStepsMarkdown(packet.steps),
+    '',
+    '### Fallbacks tried',
+    '',
+    ...formatFallbacksMarkdown(packet.fallbacks),
+    '',
+    '### Agent notes',
+    '',
+    packet.notes || '_None_'
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Format the packet as JSON
+ * @param {HandoffPacket} packet - The handoff packet
+ * @returns {string} - Pretty-printed JSON handoff
+ */
+function formatHandoffJSON(packet) {
+  return JSON.stringify(packet, null, 2);
+}
+
+export {
+  buildHandoffPacket,
+  formatArticleName,
+  formatPrechecksText,
+  formatStepsText,
+  formatFallbacksText,
+  formatPrechecksMarkdown,
+  formatStepsMarkdown,
+  formatFallbacksMarkdown,
+  formatHandoffText,
+  formatHandoffMarkdown,
+  formatHandoffJSON
+};
@@ -0,0 +1,112 @@
+// KB Auth Module
+// Credentials for KB sources that require authentication, turned into request headers
+// KBAuthError is raised when a source answers 401 or 403, so bad credentials are reported
+// instead of being treated like an unreachable source
+
+// Supported ways of authenticating to a KB source
+const AUTH_TYPES = ['none', 'bearer', 'apiKey', 'basic'];
+
+// Header used for an API key when none is configured
+const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+
+// Statuses with which a source rejects the request's credentials
+const AUTH_ERROR_STATUSES = [401, 403];
+
+/**
+ * @typedef {Object} KBSourceAuth
+ * @property {string} type - One of AUTH_TYPES
+ * @property {string} [token] - Bearer token (type 'bearer')
+ * @property {string} [headerName] - Header carrying the API key (type 'apiKey')
+ * @property {string} [apiKey] - API key (type 'apiKey')
+ * @property {string} [username] - User name (type 'basic')
+ * @property {string} [password] - Password (type 'basic')
+ */
+
+/**
+ * Error raised when a KB source rejects the credentials (or asks for credentials
+ * that are not configured)
+ */
+class KBAuthError extends Error {
+  /**
+   * @param {number} status - HTTP status of the response (401 or 403)
+   * @param {boolean} hadCredentials - Whether credentials were sent
+   */
+  constructor(status, hadCredentials) {
+    super(hadCredentials
+      ? `KB source rejected the credentials (HTTP ${status})`
+      : `KB source requires credentials (HTTP ${status})`);
+    this.name = 'KBAuthError';
+    this.status = status;
+    // Name of the source, filled in by the KB loader
+    this.sourceName = null;
+  }
+}
+
+/**
+ * Clean up auth settings from the options page or storage, keeping only the fields of the auth type
+ * @param {Object} auth - Auth settings
+ * @returns {KBSourceAuth} - Valid auth settings ({ type: 'none' } if unusable)
+ */
+function sanitizeAuth(auth) {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const type = auth && AUTH_TYPES.includes(auth.type) ? auth.type : 'none';
+
+  if (type === 'bearer' && text(auth.token)) {
+    return { type, token: text(auth.token) };
+  }
+  if (type === 'apiKey' && text(auth.apiKey)) {
+    return { type, headerName: text(auth.headerName) || DEFAULT_API_KEY_HEADER, apiKey: text(auth.apiKey) };
+  }
+  // Passwords may legitimately start or end with spaces
+  if (type === 'basic' && text(auth.username)) {
+    return { type, username: text(auth.username), password: typeof auth.password === 'string' ? auth.password : '' };
+  }
+  return { type: 'none' };
+}
+
+/**
+ * Encode text as base64, including characters outside Latin-1
+ * @param {string} text - Text to encode
+ * @returns {string} - Base64 of the text's UTF-8 bytes
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Build the request headers that authenticate to a source
+ * @param {KBSourceAuth|null} auth - Auth settings of the source
+ * @returns {Object} - Header name -> value (empty without credentials)
+ */
+function buildAuthHeaders(auth) {
+  const valid = sanitizeAuth(auth);
+  if (valid.type === 'bearer') {
+    return { Authorization: `Bearer ${valid.token}` };
+  }
+  if (valid.type === 'apiKey') {
+    return { [valid.headerName]: valid.apiKey };
+  }
+  if (valid.type === 'basic') {
+    return { Authorization: `Basic ${encodeBase64(`${valid.username}:${valid.password}`)}` };
+  }
+  return {};
+}
+
+/**
+ * Check whether a response status means the credentials were rejected
+ * @param {number} status - HTTP status
+ * @returns {boolean} - True for 401 and 403
+ */
+function isAuthErrorStatus(status) {
+  return AUTH_ERROR_STATUSES.includes(status);
+}
+
+export {
+  AUTH_TYPES,
+  DEFAULT_API_KEY_HEADER,
+  KBAuthError,
+  sanitizeAuth,
+  buildAuthHeaders,
+  isAuthErrorStatus
+};
@@ -0,0 +1,134 @@
+// KB Delta Module
+// Incremental KB updates: a source that labels its payload with a revision can answer
+// later requests with only the articles added, changed or deleted since that revision
+// See "Delta Updates" in docs/KB_DATA_MODEL.md for the feed format
+
+// Query parameter carrying the revision the cached KB is at
+const DELTA_QUERY_PARAM = 'since';
+
+/**
+ * Get the revision a KB payload is at
+ * @param {*} data - Full or delta payload
+ * @returns {string|null} - The payload's revision (or updated_at), or null if it has none
+ */
+function getPayloadRevision(data) {
+  if (!data || Array.isArray(data) || typeof data !== 'object') {
+    return null;
+  }
+  const revision = data.revision !== undefined && data.revision !== null ? data.revision : data.updated_at;
+  return revision === undefined || revision === null || revision === '' ? null : String(revision);
+}
+
+/**
+ * Check whether a payload is a delta rather than a full KB
+ * @param {*} data - Parsed payload
+ * @returns {boolean} - True for a delta payload
+ */
+function isDeltaPayload(data) {
+  return Boolean(data) && !Array.isArray(data) && data.delta === true;
+}
+
+/**
+ * Build the URL that asks the source for the changes since a revision
+ * @param {string} url - KB source URL
+ * @param {string} revision - Revision the cached KB is at
+ * @returns {string} - The delta URL
+ */
+function buildDeltaUrl(url, revision) {
+  const deltaUrl = new URL(url);
+  deltaUrl.searchParams.set(DELTA_QUERY_PARAM, revision);
+  return deltaUrl.toString();
+}
+
+/**
+ * Read a delta payload
+ * @param {Object} data - Delta payload
+ * @param {string} revision - Revision the cached KB is at
+ * @returns {Object} - Object with revision, articles (added and changed), deleted (ids),
+ *   synonyms and version (undefined when the delta leaves them unchanged), or with
+ *   chainBroken (the reason) when the delta does not start at the cached revision
+ */
+function parseDelta(data, revision) {
+  const since = data.since === undefined || data.since === null ? null : String(data.since);
+  if (since !== revision) {
+    return { chainBroken: `delta starts at revision ${since}, but the cached KB is at ${revision}` };
+  }
+
+  const newRevision = getPayloadRevision(data);
+  if (!newRevision) {
+    throw new Error('Invalid KB delta: missing revision');
+  }
+  ['added', 'changed', 'deleted'].forEach(field => {
+    if (data[field] !== undefined && !Array.isArray(data[field])) {
+      throw new Error(`Invalid KB delta: ${field} must be an array`);
+    }
+  });
+
+  return {
+    revision: newRevision,
+    articles: [...(data.added || []), ...(data.changed || [])],
+    deleted: data.deleted || [],
+    synonyms: data.synonyms,
+    version: data.version
+  };
+}
+
+/**
+ * Merge changes into a KB by article id. Changed articles keep their position,
+ * added ones go to the end.
+ * @param {Array} kb - Current articles
+ * @param {Array} upserts - Added or changed articles
+ * @param {Array} deletedIds - Ids of articles to remove
+ * @returns {Array} - The merged articles
+ */
+function applyDelta(kb, upserts, deletedIds) {
+  const deleted = new Set(deletedIds.map(String));
+  const byId = new Map(upserts.map(article => [String(article.id), article]));
+
+  const merged = kb
+    .filter(article => !deleted.has(String(article.id)))
+    .map(article => {
+      const key = String(article.id);
+      const replacement = byId.get(key);
+      byId.delete(key);
+      return replacement || article;
+    });
+  byId.forEach(article => {
+    if (!deleted.has(String(article.id))) {
+      merged.push(article);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Combine the validation report of the full KB with the report of a delta: entries for
+ * articles the delta touched are replaced by the delta's entries
+ * @param {Object|null} previous - Report of the KB before the delta
+ * @param {Object} delta - Report of the delta's articles (from prepareKB())
+ * @param {Array} touchedIds - Ids of the articles the delta added, changed or deleted
+ * @param {number} validCount - Articles in the merged KB
+ * @returns {Object} - Report of the merged KB
+ */
+function mergeValidationReports(previous, delta, touchedIds, validCount) {
+  const touched = new Set(touchedIds.map(String));
+  const untouched = entries => (entries || []).filter(entry => !touched.has(String(entry.id)));
+  const invalid = [...untouched(previous && previous.invalid), ...delta.invalid];
+
+  return {
+    ...delta,
+    total: validCount + invalid.length,
+    validCount: validCount,
+    invalid: invalid,
+    warnings: [...untouched(previous && previous.warnings), ...delta.warnings]
+  };
+}
+
+export {
+  getPayloadRevision,
+  isDeltaPayload,
+  buildDeltaUrl,
+  parseDelta,
+  applyDelta,
+  mergeValidationReports
+};
@@ -0,0 +1,430 @@
+// KB Import Module
+// Parses KB files picked or dropped on the options page: JSON in the legacy or enhanced model,
+// CSV with one row per step, and Markdown runbooks where headings are articles and numbered lists are steps
+// See "Importing Files" in docs/KB_DATA_MODEL.md for the CSV columns and the Markdown layout
+
+import { parseCSV } from './csv.js';
+import { isDeltaPayload } from './kb-delta.js';
+import { sanitizeSynonymGroups } from './query-expansion.js';
+
+// File extensions of each import format
+const FORMAT_EXTENSIONS = {
+  json: ['json'],
+  csv: ['csv'],
+  markdown: ['md', 'markdown']
+};
+
+// Separator of list cells in CSV files (the same one toCSV() writes)
+const CSV_LIST_SEPARATOR = ';';
+
+// Markdown sub-headings that name a part of an article rather than a new article
+const MARKDOWN_SECTIONS = [
+  { kind: 'prechecks', pattern: /^(prechecks?|pre-checks?|before you start)$/i },
+  { kind: 'steps', pattern: /^(steps|procedure|resolution|solution)$/i },
+  { kind: 'stop_conditions', pattern: /^(stop conditions?|resolved when|done when)$/i },
+  { kind: 'escalation', pattern: /^escalat(e|ion)$/i },
+  { kind: 'fallback', pattern: /^(fallback|if that didn't work|if it didn't work)\s*:\s*(.+)$/i }
+];
+
+/**
+ * @typedef {Object} ImportedKB
+ * @property {string} format - 'json', 'csv' or 'markdown'
+ * @property {Array} articles - Parsed articles, not yet validated
+ * @property {Array<string[]>} synonyms - Synonym groups (JSON files only)
+ * @property {string|null} version - KB version (JSON files only)
+ */
+
+/**
+ * Work out the format of a KB file from its extension, or from its content if the extension is unknown
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File content
+ * @returns {string} - 'json', 'csv' or 'markdown'
+ */
+function detectFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  const format = Object.keys(FORMAT_EXTENSIONS).find(key => FORMAT_EXTENSIONS[key].includes(extension));
+  if (format) {
+    return format;
+  }
+  const start = text.trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) {
+    return 'json';
+  }
+  return /^#{1,6}\s/m.test(text) ? 'markdown' : 'csv';
+}
+
+/**
+ * Use a numeric id as a number, like the ids of the mock KB
+ * @param {string} id - Id text
+ * @returns {number|string} - The id
+ */
+function parseId(id) {
+  return /^\d+$/.test(id) ? Number(id) : id;
+}
+
+/**
+ * Turn a title into an article id
+ * @param {string} title - Article title
+ * @param {Set<string>} used - Ids already given out, updated with the new id
+ * @returns {string} - Unique id such as "email-not-sending"
+ */
+function slugId(title, used) {
+  const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'article';
+  let id = base;
+  for (let n = 2; used.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  used.add(id);
+  return id;
+}
+
+/**
+ * Split a list cell or metadata value such as "email; outlook" into items
+ * @param {string} value - List text
+ * @param {string} [separator] - Item separator
+ * @returns {string[]} - Trimmed, non-empty items
+ */
+function splitList(value, separator = CSV_LIST_SEPARATOR) {
+  return (value || '').split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a JSON KB file: an array of articles or an object with articles, synonyms and version
+ * @param {string} text - File content
+ * @returns {ImportedKB} - The parsed KB
+ */
+function parseJSONFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (isDeltaPayload(data)) {
+    throw new Error('A delta payload cannot be imported; import the full KB instead');
+  }
+  const articles = Array.isArray(data) ? data : (data && data.articles);
+  if (!Array.isArray(articles)) {
+    throw new Error('Invalid KB format: expected array of articles');
+  }
+  return {
+    format: 'json',
+    articles: articles,
+    synonyms: Array.isArray(data) ? [] : sanitizeSynonymGroups(data.synonyms),
+    version: !Array.isArray(data) && data.version ? String(data.version) : null
+  };
+}
+
+/**
+ * Parse a CSV KB file with a header row and one row per step. Rows with the same
+ * article_id (or, without ids, the same title) form one article; article columns are
+ * read from the first row that fills them. A row with a fallback_id adds its step to that fallback.
+ * @param {string} text - File content
+ * @returns {ImportedKB} - The parsed KB
+ */
+function parseCSVFile(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) {
+    throw new Error('Invalid CSV: the file is empty');
+  }
+  const columns = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  if (!columns.includes('step_text') && !columns.includes('step')) {
+    throw new Error('Invalid CSV: expected a step_text column (one row per step)');
+  }
+  if (!columns.includes('title')) {
+    throw new Error('Invalid CSV: expected a title column');
+  }
+
+  const byKey = new Map();
+  const usedIds = new Set();
+  rows.forEach(cells => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = (cells[index] || '').trim();
+    });
+    const key = row.article_id || row.title;
+    if (!key) {
+      return;
+    }
+
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        id: row.article_id ? parseId(row.article_id) : slugId(row.title, usedIds),
+        title: '',
+        tags: [],
+        product: '',
+        summary: '',
+        prechecks: [],
+        steps: [],
+        fallbacks: [],
+        stop_conditions: []
+      });
+    }
+    const article = byKey.get(key);
+    article.title = article.title || row.title;
+    article.product = article.product || row.product || '';
+    article.summary = article.summary || row.summary || '';
+    if (row.version && !article.version) {
+      article.version = row.version;
+    }
+    ['tags', 'prechecks', 'stop_conditions'].forEach(field => {
+      if (article[field].length === 0) {
+        article[field] = splitList(row[field]);
+      }
+    });
+    if (row.escalation_when && row.escalation_target && !article.escalation) {
+      article.escalation = { when: row.escalation_when, target: row.escalation_target };
+    }
+
+    const stepText = row.step_text || row.step;
+    if (!stepText) {
+      return;
+    }
+    const step = { text: stepText };
+    if (row.step_id) {
+      step.id = row.step_id;
+    }
+    ['expected', 'say_to_customer'].forEach(field => {
+      if (row[field]) {
+        step[field] = row[field];
+      }
+    });
+    if (row.step_type) {
+      step.type = row.step_type.toLowerCase();
+    }
+
+    if (row.fallback_id) {
+      let fallback = article.fallbacks.find(candidate => candidate.id === row.fallback_id);
+      if (!fallback) {
+        fallback = {
+          id: row.fallback_id,
+          reason_category: row.reason_category || '',
+          trigger_keywords: splitList(row.trigger_keywords),
+          steps: []
+        };
+        article.fallbacks.push(fallback);
+      }
+      fallback.steps.push(step);
+    } else {
+      article.steps.push(step);
+    }
+  });
+
+  return { format: 'csv', articles: [...byKey.values()], synonyms: [], version: null };
+}
+
+/**
+ * Split a Markdown line into its kind and text
+ * @param {string} line - Line of the file
+ * @returns {Object} - Object with type ('heading', 'ordered', 'bullet', 'text' or 'blank'),
+ *   text, level (headings) and indent (list items)
+ */
+function readMarkdownLine(line) {
+  const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+  if (heading) {
+    return { type: 'heading', level: heading[1].length, text: heading[2] };
+  }
+  const ordered = line.match(/^(\s*)\d+[.)]\s+(.*)$/);
+  if (ordered) {
+    return { type: 'ordered', indent: ordered[1].length, text: ordered[2].trim() };
+  }
+  const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+  if (bullet) {
+    return { type: 'bullet', indent: bullet[1].length, text: bullet[2].trim() };
+  }
+  return line.trim() ? { type: 'text', text: line.trim() } : { type: 'blank' };
+}
+
+/**
+ * Read a "Key: value" line, ignoring bold or italic markers around the key
+ * @param {string} text - Line text
+ * @returns {Object|null} - Object with key (lowercase) and value, or null
+ */
+function readKeyValue(text) {
+  const match = text.replace(/[*_]{1,2}([^*_]+?)[*_]{1,2}/g, '$1').match(/^([A-Za-z][A-Za-z _-]{0,30}):\s*(.+)$/);
+  return match ? { key: match[1].trim().toLowerCase().replace(/[\s-]+/g, '_'), value: match[2].trim() } : null;
+}
+
+/**
+ * Work out which part of an article a sub-heading starts
+ * @param {string} text - Heading text
+ * @returns {Object|null} - Object with kind and, for fallbacks, reason; null for other headings
+ */
+function readSection(text) {
+  for (const section of MARKDOWN_SECTIONS) {
+    const match = text.match(section.pattern);
+    if (match) {
+      return section.kind === 'fallback' ? { kind: 'fallback', reason: match[2].trim() } : { kind: section.kind };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the heading level of articles: the highest level with a heading that is not a
+ * section name, unless that level is a lone document title above the articles
+ * @param {Array} lines - Lines from readMarkdownLine()
+ * @returns {number|null} - Heading level, or null without headings
+ */
+function findArticleLevel(lines) {
+  const headings = lines
+    .map((line, index) => ({ ...line, index }))
+    .filter(line => line.type === 'heading' && !readSection(line.text));
+  const levels = [...new Set(headings.map(heading => heading.level))].sort((a, b) => a - b);
+  if (levels.length === 0) {
+    return null;
+  }
+
+  const top = headings.filter(heading => heading.level === levels[0]);
+  if (top.length === 1 && levels.length > 1) {
+    // A lone top heading with steps right under it is an article, otherwise a title
+    const next = headings.find(heading => heading.index > top[0].index);
+    const hasSteps = lines
+      .slice(top[0].index + 1, next ? next.index : lines.length)
+      .some(line => line.type === 'ordered');
+    return hasSteps ? levels[0] : levels[1];
+  }
+  return levels[0];
+}
+
+/**
+ * Parse a Markdown runbook: each heading is an article, its numbered list is the steps
+ * and the text under the heading is the summary. "Product:", "Version:", "Tags:" and
+ * "ID:" lines set those fields; sub-headings such as "Prechecks", "Stop conditions",
+ * "Escalation" and "Fallback: <reason>" (with optional "ID:" and "Triggers:" lines) fill the
+ * other parts of the article, and "ID:", "Expected:", "Say:" or "Type:" bullets under a step describe that step.
+ * @param {string} text - File content
+ * @returns {ImportedKB} - The parsed KB
+ */
+function parseMarkdownFile(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(readMarkdownLine);
+  const articleLevel = findArticleLevel(lines);
+  if (articleLevel === null) {
+    throw new Error('Invalid Markdown: expected a heading for each article');
+  }
+
+  const articles = [];
+  const usedIds = new Set();
+  let article = null;
+  let section = null;
+  let fallback = null;
+  let lastStep = null;
+  const summary = [];
+
+  const finishArticle = () => {
+    if (article) {
+      article.summary = summary.join(' ');
+      if (article.id === undefined) {
+        article.id = slugId(article.title, usedIds);
+      }
+      articles.push(article);
+    }
+    article = null;
+    summary.length = 0;
+  };
+
+  lines.forEach(line => {
+    if (line.type === 'heading') {
+      if (line.level <= articleLevel) {
+        finishArticle();
+        if (line.level === articleLevel) {
+          article = { title: line.text, tags: [], product: '', prechecks: [], steps: [], fallbacks: [], stop_conditions: [] };
+        }
+        section = null;
+      } else if (article) {
+        const next = readSection(line.text);
+        section = next ? next.kind : 'notes';
+        fallback = null;
+        if (next && next.kind === 'fallback') {
+          fallback = {
+            id: `${article.title}-${next.reason}`.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            reason_category: next.reason.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+            trigger_keywords: [],
+            steps: []
+          };
+          article.fallbacks.push(fallback);
+        }
+      }
+      lastStep = null;
+      return;
+    }
+    if (!article || line.type === 'blank' || section === 'notes') {
+      return;
+    }
+
+    const pair = line.type === 'ordered' ? null : readKeyValue(line.text);
+    const isListItem = line.type === 'ordered' || line.type === 'bullet';
+
+    // Details of the step above, e.g. "- Expected: the message leaves the Outbox"
+    if (lastStep && line.type === 'bullet' && line.indent > 0 && pair) {
+      if (pair.key === 'expected' || pair.key === 'expected_outcome') {
+        lastStep.expected = pair.value;
+      } else if (pair.key === 'say' || pair.key === 'say_to_customer') {
+        lastStep.say_to_customer = pair.value;
+      } else if (pair.key === 'type') {
+        lastStep.type = pair.value.toLowerCase();
+      } else if (pair.key === 'id') {
+        lastStep.id = pair.value;
+      }
+      return;
+    }
+
+    if (section === 'escalation' && pair) {
+      article.escalation = { ...article.escalation, [pair.key === 'target' || pair.key === 'team' ? 'target' : 'when']: pair.value };
+      return;
+    }
+    if (section === 'fallback' && pair && (pair.key === 'triggers' || pair.key === 'trigger_keywords')) {
+      fallback.trigger_keywords = splitList(pair.value, ',');
+      return;
+    }
+    if (section === 'fallback' && pair && pair.key === 'id') {
+      fallback.id = pair.value;
+      return;
+    }
+    if ((section === 'prechecks' || section === 'stop_conditions') && isListItem) {
+      article[section].push(line.text);
+      return;
+    }
+    if (line.type === 'ordered' && line.indent === 0) {
+      lastStep = { text: line.text };
+      (section === 'fallback' ? fallback.steps : article.steps).push(lastStep);
+      return;
+    }
+
+    if (pair && ['id', 'product', 'version', 'tags'].includes(pair.key)) {
+      if (pair.key === 'id') {
+        article.id = parseId(pair.value);
+        usedIds.add(String(article.id));
+      } else if (pair.key === 'tags') {
+        article.tags = splitList(pair.value, ',');
+      } else {
+        article[pair.key] = pair.value;
+      }
+    } else if (line.type === 'text' && article.steps.length === 0 && section === null) {
+      summary.push(line.text);
+    }
+  });
+  finishArticle();
+
+  return { format: 'markdown', articles: articles, synonyms: [], version: null };
+}
+
+/**
+ * Parse a KB file in any supported format. The articles still need validating (prepareKB()).
+ * @param {string} fileName - Name of the file, used to pick the format
+ * @param {string} text - File content
+ * @returns {ImportedKB} - The parsed KB
+ */
+function parseKBFile(fileName, text) {
+  const format = detectFormat(fileName, text);
+  if (format === 'csv') {
+    return parseCSVFile(text);
+  }
+  return format === 'markdown' ? parseMarkdownFile(text) : parseJSONFile(text);
+}
+
+export {
+  FORMAT_EXTENSIONS,
+  detectFormat,
+  parseKBFile
+};
@@ -0,0 +1,193 @@
+// KB Lint Module
+// Configurable quality rules for KB articles, so authors can check a KB before publishing it
+// Structural rules come from kb-validator.js; the rest only run on articles that pass validation
+
+import { validateArticle } from './kb-validator.js';
+import { normalizeArticle } from './kb-model.js';
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+// Every rule with its default severity and options
+const LINT_RULES = {
+  'schema': {
+    severity: 'error',
+    description: 'Missing or wrongly typed fields; the extension quarantines such articles'
+  },
+  'duplicate-id': {
+    severity: 'error',
+    description: 'Article id already used by an earlier article'
+  },
+  'empty-steps': {
+    severity: 'error',
+    description: 'Article without steps, or a step without text'
+  },
+  'duplicate-step-id': {
+    severity: 'error',
+    description: 'Step id used twice in one article (main steps and fallbacks share one id space)'
+  },
+  'orphan-fallback': {
+    severity: 'error',
+    description: 'Fallback that can never be entered: it has no steps, or an earlier fallback has its id'
+  },
+  'missing-tags': {
+    severity: 'warning',
+    description: 'Article without tags or keywords'
+  },
+  'missing-escalation': {
+    severity: 'warning',
+    description: 'Enhanced article without an escalation target'
+  },
+  'missing-trigger-keywords': {
+    severity: 'warning',
+    description: 'Fallback that can only be chosen by reason category'
+  },
+  'missing-say-to-customer': {
+    severity: 'warning',
+    description: 'Step without say_to_customer, so the customer script has nothing to show'
+  },
+  'overlong-step': {
+    severity: 'warning',
+    description: 'Step text or customer script longer than maxLength characters',
+    options: { maxLength: 300 }
+  },
+  'duplicate-step': {
+    severity: 'warning',
+    description: 'Step text repeated in another article (steps shorter than minLength are ignored)',
+    options: { minLength: 20 }
+  }
+};
+
+/**
+ * @typedef {Object} LintResult
+ * @property {string} rule - Rule id
+ * @property {string} severity - 'error' or 'warning'
+ * @property {number} articleIndex - Position of the article in the payload
+ * @property {*} articleId - Article id (undefined if missing)
+ * @property {string|null} stepId - Step the problem is on, if any
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Combine the default rule settings with overrides
+ * @param {Object} overrides - Rule id -> severity, or [severity, options]
+ * @returns {Object} - Rule id -> { severity, options }
+ */
+function resolveRules(overrides) {
+  Object.keys(overrides).forEach(ruleId => {
+    if (!LINT_RULES[ruleId]) {
+      throw new Error(`Unknown lint rule "${ruleId}"`);
+    }
+  });
+
+  const config = {};
+  Object.entries(LINT_RULES).forEach(([ruleId, rule]) => {
+    const override = overrides[ruleId];
+    const [severity, options] = Array.isArray(override) ? override : [override, {}];
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for rule "${ruleId}" (expected ${SEVERITIES.join(', ')})`);
+    }
+    config[ruleId] = {
+      severity: severity || rule.severity,
+      options: { ...rule.options, ...options }
+    };
+  });
+  return config;
+}
+
+/**
+ * Reduce step text to the words that matter when comparing steps
+ * @param {string} text - Step text
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+function normalizeStepText(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * List every step of an article with the name of its path
+ * @param {Object} article - Article in the enhanced model
+ * @returns {Array} - Objects with step and path ('main' or the fallback id)
+ */
+function listSteps(article) {
+  return [
+    ...article.steps.map(step => ({ step, path: 'main' })),
+    ...article.fallbacks.flatMap(fallback => fallback.steps.map(step => ({ step, path: fallback.id })))
+  ];
+}
+
+/**
+ * Lint the articles of a KB payload
+ * @param {Array} articles - Articles as found in the payload (legacy and/or enhanced)
+ * @param {Object} [rules] - Rule id -> 'error', 'warning' or 'off', or [severity, options]
+ *   to change a rule's options, e.g. { 'overlong-step': ['error', { maxLength: 200 }] }
+ * @returns {Object} - Object with articleCount, errorCount, warningCount and results (LintResult[])
+ */
+function lintKB(articles, rules = {}) {
+  const config = resolveRules(rules);
+  const results = [];
+  const articleIds = new Set();
+  // Normalized step text -> where it first appeared
+  const stepTexts = new Map();
+
+  const report = (ruleId, articleIndex, articleId, stepId, message) => {
+    const severity = config[ruleId].severity;
+    if (severity !== 'off') {
+      results.push({ rule: ruleId, severity, articleIndex, articleId, stepId, message });
+    }
+  };
+
+  articles.forEach((raw, index) => {
+    const validation = validateArticle(raw);
+    const id = raw && typeof raw === 'object' ? raw.id : undefined;
+    validation.errors.forEach(error => report(error.rule, index, id, null, error.message));
+    validation.warnings.forEach(warning => report(warning.rule, index, id, null, warning.message));
+
+    if (id !== undefined && articleIds.has(id)) {
+      report('duplicate-id', index, id, null, `duplicate article id ${JSON.stringify(id)}`);
+    }
+    articleIds.add(id);
+
+    // Content rules need a well-formed article
+    if (validation.errors.length > 0) {
+      return;
+    }
+
+    const article = normalizeArticle(raw);
+    const { maxLength } = config['overlong-step'].options;
+    const { minLength } = config['duplicate-step'].options;
+
+    listSteps(article).forEach(({ step, path }) => {
+      if (!step.say_to_customer || step.say_to_customer.trim() === '') {
+        report('missing-say-to-customer', index, id, step.id, `step "${step.id}" has no say_to_customer`);
+      }
+      ['text', 'say_to_customer'].forEach(field => {
+        if (step[field] && step[field].length > maxLength) {
+          report('overlong-step', index, id, step.id,
+            `step "${step.id}" ${field} is ${step[field].length} characters (max ${maxLength})`);
+        }
+      });
+
+      const key = normalizeStepText(step.text);
+      if (key.length < minLength) {
+        return;
+      }
+      const first = stepTexts.get(key);
+      if (!first) {
+        stepTexts.set(key, { articleId: id, stepId: step.id });
+      } else if (first.articleId !== id) {
+        report('duplicate-step', index, id, step.id,
+          `step "${step.id}" repeats step "${first.stepId}" of article ${JSON.stringify(first.articleId)}` +
+          (path === 'main' ? '' : ` (in fallback "${path}")`));
+      }
+    });
+  });
+
+  return {
+    articleCount: articles.length,
+    errorCount: results.filter(result => result.severity === 'error').length,
+    warningCount: results.filter(result => result.severity === 'warning').length,
+    results: results
+  };
+}
+
+export { LINT_RULES, lintKB };
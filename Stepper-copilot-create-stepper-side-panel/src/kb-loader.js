@@ -1,33 +1,115 @@
 // KB Loader Module
-// Handles fetching KB from remote source, caching, and fallback to mock KB
+// Handles fetching KB from remote sources, caching, merging, and fallback to mock KB
+// Articles are always handed out in the enhanced model; legacy articles are converted on load
 
-import { findBestMatch as mockFindBestMatch, getAllArticles as mockGetAllArticles } from './kb.js';
+import { getAllEnhancedArticles } from './kb.mock.js';
+import { normalizeKB } from './kb-model.js';
+import { validateKB } from './kb-validator.js';
+import { SearchIndex } from './search-index.js';
+import { DEFAULT_SYNONYM_GROUPS, sanitizeSynonymGroups } from './query-expansion.js';
+import { getFacets as listFacets, detectFacets, matchesFacets } from './facets.js';
+import {
+  getPayloadRevision, isDeltaPayload, buildDeltaUrl, parseDelta, applyDelta, mergeValidationReports
+} from './kb-delta.js';
+import {
+  loadSources, saveSources, loadSourceCache, saveSourceCache, updateSourceCache, clearSourceCaches,
+  loadSourceStatuses, saveSourceStatus, mergeSourceKBs
+} from './kb-sources.js';
+import { KBAuthError, buildAuthHeaders, isAuthErrorStatus } from './kb-auth.js';
+import { parseKBFile } from './kb-import.js';
 
 // Storage keys
-const STORAGE_KEY_KB = 'cached_kb';
-const STORAGE_KEY_TIMESTAMP = 'cached_kb_timestamp';
-const STORAGE_KEY_SOURCE_URL = 'kb_source_url';
+const STORAGE_KEY_CUSTOM_SYNONYMS = 'custom_synonyms';
+const STORAGE_KEY_MAX_AGE = 'kb_max_age_minutes';
+const STORAGE_KEY_BLOCK_MOCK = 'kb_block_mock_fallback';
 
-// Default KB source URL (empty by default, can be set via options)
-let kbSourceUrl = '';
+// Statuses with which a source refuses a delta request, e.g. because the revision is too old
+const DELTA_RESYNC_STATUSES = [409, 410];
 
-// In-memory cache for current session
+// How long a downloaded KB is used before asking the source whether it changed
+const DEFAULT_KB_MAX_AGE_MINUTES = 60;
+
+// Minimum gap between background refreshes, so an unreachable source is not polled on every search
+const REVALIDATE_RETRY_MS = 60 * 1000;
+
+// Configured sources in precedence order (see kb-sources.js)
+let kbSources = [];
+
+// KB of each loaded source: source id -> { kb, synonyms, version, origin ('remote', 'cache' or 'file'),
+// fetchedAt (when it was downloaded), checkedAt (when the source last confirmed it; a 304
+// confirms without downloading) and report (validation report of the source's payload) }
+const sourceKBs = new Map();
+
+// Source id -> SourceStatus of the last fetch (see kb-sources.js)
+let sourceStatuses = {};
+
+// Merged KB of all loaded sources (or the mock KB) for the current session
 let cachedKB = null;
 
+// Whether the mock KB is in use because no source could be loaded, and why
+let usingMockKB = false;
+let mockReason = null;
+
+// Whether the options page blocks the fallback to the mock KB
+let mockFallbackBlocked = false;
+
+// Error thrown by the last load when no KB could be served, or null
+let loadError = null;
+
+// Version of the KB in memory: the payload's version field, else when it was fetched
+let kbVersion = null;
+let kbMaxAgeMinutes = DEFAULT_KB_MAX_AGE_MINUTES;
+
+// Background refresh in flight, and when the last one started
+let revalidation = null;
+let lastRevalidationAt = 0;
+
+// Called with getKBStatus() whenever the KB or its freshness changes
+const statusListeners = new Set();
+
+// Validation report of the KB in memory, including its quarantined articles
+let validationReport = null;
+
+// Inverted index over cachedKB, updated incrementally whenever the KB changes
+const searchIndex = new SearchIndex();
+
+// Synonym groups from the KB payloads and from the options page, used on top of the defaults
+let kbSynonyms = [];
+let customSynonyms = [];
+
 // Promise to track initialization status
 let initPromise = null;
 
 /**
- * Initialize the KB loader by loading the source URL from storage
+ * Error raised instead of falling back to the mock KB when the fallback is blocked on the options page
+ */
+class KBUnavailableError extends Error {
+  /**
+   * @param {string} reason - Why no source could be used
+   */
+  constructor(reason) {
+    super(`${reason}, and falling back to the demo KB is blocked`);
+    this.name = 'KBUnavailableError';
+  }
+}
+
+/**
+ * Initialize the KB loader by loading the sources, their statuses, the max age, the mock
+ * fallback block and custom synonyms from storage
  */
 async function initKBLoader() {
   try {
-    const result = await chrome.storage.local.get([STORAGE_KEY_SOURCE_URL]);
-    if (result[STORAGE_KEY_SOURCE_URL]) {
-      kbSourceUrl = result[STORAGE_KEY_SOURCE_URL];
+    kbSources = await loadSources();
+    sourceStatuses = await loadSourceStatuses();
+    const result = await chrome.storage.local.get([STORAGE_KEY_CUSTOM_SYNONYMS, STORAGE_KEY_MAX_AGE, STORAGE_KEY_BLOCK_MOCK]);
+    if (Number(result[STORAGE_KEY_MAX_AGE]) > 0) {
+      kbMaxAgeMinutes = Number(result[STORAGE_KEY_MAX_AGE]);
     }
+    mockFallbackBlocked = result[STORAGE_KEY_BLOCK_MOCK] === true;
+    customSynonyms = sanitizeSynonymGroups(result[STORAGE_KEY_CUSTOM_SYNONYMS]);
+    applySynonyms();
   } catch (error) {
-    console.warn('Failed to load KB source URL from storage:', error);
+    console.warn('Failed to load KB loader settings from storage:', error);
   }
 }
 
@@ -41,103 +123,678 @@ async function ensureInitialized() {
 }
 
 /**
- * Set the KB source URL and save it to storage
- * @param {string} url - The URL to fetch KB from
+ * Replace the list of KB sources and save it to storage. The order is the precedence:
+ * when several sources have an article with the same id, the one listed first is used.
+ * Sources that were removed or point to a new URL lose their cache.
+ * @param {Array} sources - Objects with url and optional id, name and enabled
+ * @returns {Promise<KBSource[]>} - The saved sources
  */
-async function setKBSourceUrl(url) {
-  kbSourceUrl = url;
-  try {
-    await chrome.storage.local.set({ [STORAGE_KEY_SOURCE_URL]: url });
-  } catch (error) {
-    console.error('Failed to save KB source URL:', error);
+async function setKBSources(sources) {
+  await ensureInitialized();
+  const previous = kbSources;
+  kbSources = await saveSources(sources, previous);
+  sourceStatuses = await loadSourceStatuses();
+  // Drop the KBs of sources that were removed or now point to another URL
+  previous
+    .filter(old => !kbSources.some(source => source.id === old.id && source.url === old.url))
+    .forEach(old => sourceKBs.delete(old.id));
+  // Merge again on the next load
+  cachedKB = null;
+  return getKBSources();
+}
+
+/**
+ * Get the configured KB sources
+ * @returns {KBSource[]} - Sources in precedence order
+ */
+function getKBSources() {
+  return kbSources.map(source => ({ ...source, auth: { ...source.auth } }));
+}
+
+/**
+ * Get the sources that are loaded
+ * @returns {KBSource[]} - Enabled sources in precedence order
+ */
+function getEnabledSources() {
+  return kbSources.filter(source => source.enabled);
+}
+
+/**
+ * Set how long a downloaded KB is used before the source is asked whether it changed
+ * @param {number} minutes - Max age in minutes (must be positive)
+ */
+async function setKBMaxAge(minutes) {
+  if (!(minutes > 0)) {
+    throw new Error('KB max age must be a positive number of minutes');
   }
+  kbMaxAgeMinutes = minutes;
+  await chrome.storage.local.set({ [STORAGE_KEY_MAX_AGE]: minutes });
 }
 
 /**
- * Get the current KB source URL
- * @returns {string} - The current KB source URL
+ * Get how long a downloaded KB is used before the source is asked whether it changed
+ * @returns {number} - Max age in minutes
  */
-function getKBSourceUrl() {
-  return kbSourceUrl;
+function getKBMaxAge() {
+  return kbMaxAgeMinutes;
 }
 
 /**
- * Fetch KB from remote URL
+ * Block or allow the fallback to the mock KB. While blocked, loadKB() throws
+ * KBUnavailableError instead of serving demo articles.
+ * @param {boolean} blocked - True to block the fallback
+ */
+async function setMockFallbackBlocked(blocked) {
+  mockFallbackBlocked = blocked === true;
+  await chrome.storage.local.set({ [STORAGE_KEY_BLOCK_MOCK]: mockFallbackBlocked });
+  if (mockFallbackBlocked && usingMockKB) {
+    // Drop the mock KB so the next load applies the block
+    cachedKB = null;
+  }
+}
+
+/**
+ * Check whether the fallback to the mock KB is blocked
+ * @returns {boolean} - True if loadKB() refuses to serve the mock KB
+ */
+function isMockFallbackBlocked() {
+  return mockFallbackBlocked;
+}
+
+/**
+ * Give the search index the default, KB and custom synonym groups
+ */
+function applySynonyms() {
+  searchIndex.setSynonyms([...DEFAULT_SYNONYM_GROUPS, ...kbSynonyms, ...customSynonyms]);
+}
+
+/**
+ * Set the synonym groups maintained on the options page and save them to storage
+ * @param {Array<string[]>} groups - Synonym groups, e.g. [["laptop", "pc"]]
+ */
+async function setCustomSynonyms(groups) {
+  customSynonyms = sanitizeSynonymGroups(groups);
+  applySynonyms();
+  await chrome.storage.local.set({ [STORAGE_KEY_CUSTOM_SYNONYMS]: customSynonyms });
+}
+
+/**
+ * Get the synonym groups maintained on the options page
+ * @returns {Array<string[]>} - Custom synonym groups
+ */
+function getCustomSynonyms() {
+  return customSynonyms;
+}
+
+/**
+ * Validate articles from a source and convert the valid ones into the enhanced model
+ * @param {Array} articles - Articles as found in the source (legacy and/or enhanced)
+ * @param {string} source - Where the articles came from: 'remote', 'cache', 'file' or 'mock'
+ * @returns {Object} - Object with kb (valid articles in the enhanced model) and report
+ *   (ValidationReport from kb-validator.js plus source and validatedAt)
+ */
+function prepareKB(articles, source) {
+  const { articles: valid, report } = validateKB(articles);
+  if (report.invalid.length > 0) {
+    console.warn(`Quarantined ${report.invalid.length} invalid KB article(s) from ${source}:`,
+      report.invalid.map(issue => `#${issue.index} (id ${issue.id}): ${issue.messages.join('; ')}`));
+  }
+  return {
+    kb: normalizeKB(valid),
+    report: { ...report, source: source, validatedAt: Date.now() }
+  };
+}
+
+/**
+ * Combine the validation reports of the loaded sources into one, naming the source of every entry
+ * @param {Array} entries - Objects with source (KBSource) and report (or null), in precedence order
+ * @returns {Object|null} - ValidationReport with source, sourceNames and validatedAt,
+ *   or null if no source has a report
+ */
+function combineValidationReports(entries) {
+  const reported = entries.filter(entry => entry.report);
+  if (reported.length === 0) {
+    return null;
+  }
+  const tag = (entry, issues) => issues.map(issue => ({ ...issue, sourceName: entry.source.name }));
+
+  return {
+    total: reported.reduce((sum, entry) => sum + entry.report.total, 0),
+    validCount: reported.reduce((sum, entry) => sum + entry.report.validCount, 0),
+    invalid: reported.flatMap(entry => tag(entry, entry.report.invalid)),
+    warnings: reported.flatMap(entry => tag(entry, entry.report.warnings)),
+    source: reported.every(entry => entry.report.source === 'remote') ? 'remote' : 'cache',
+    sourceNames: reported.map(entry => entry.source.name),
+    validatedAt: Math.max(...reported.map(entry => entry.report.validatedAt))
+  };
+}
+
+/**
+ * Fetch KB from remote URL.
+ * The payload is either an array of articles or an object with an articles
+ * array, an optional synonyms array of synonym groups, an optional version and an
+ * optional revision (or updated_at) that later requests can ask for changes since.
+ * The cached copy's validators are sent, so an unchanged KB costs a 304 instead of a download.
+ * Articles that fail validation are quarantined in the validation report.
+ * A 401 or 403 answer throws KBAuthError.
  * @param {string} url - The URL to fetch from
- * @returns {Promise<Array>} - Array of KB articles
+ * @param {Object} [validators] - etag and lastModified of the cached copy
+ * @param {string|null} [revision] - Revision of the cached copy; if set, only the changes since it are asked for
+ * @param {KBSourceAuth|null} [auth] - Credentials of the source (see kb-auth.js)
+ * @returns {Promise<Object>} - Object with notModified true if the cached copy is current;
+ *   chainBroken (the reason) if the source cannot send changes since the revision;
+ *   delta (from parseDelta() plus articles validated, report and touchedIds) for a delta; otherwise
+ *   kb (valid articles in the enhanced model), report, synonyms, version, revision, etag and lastModified
  */
-async function fetchRemoteKB(url) {
+async function fetchRemoteKB(url, validators = {}, revision = null, auth = null) {
   if (!url || url.trim() === '') {
     throw new Error('No KB source URL configured');
   }
 
-  const response = await fetch(url);
+  const authHeaders = buildAuthHeaders(auth);
+  // The validators belong to the full KB, so they are not sent with a delta request
+  const headers = { ...authHeaders };
+  if (!revision && validators.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (!revision && validators.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
+
+  // The validators are managed here, so bypass the browser's HTTP cache
+  const response = await fetch(revision ? buildDeltaUrl(url, revision) : url, { headers, cache: 'no-store' });
+  if (isAuthErrorStatus(response.status)) {
+    throw new KBAuthError(response.status, Object.keys(authHeaders).length > 0);
+  }
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (revision && DELTA_RESYNC_STATUSES.includes(response.status)) {
+    return { chainBroken: `the source has no changes since revision ${revision} (status ${response.status})` };
+  }
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}`);
   }
 
   const data = await response.json();
+  if (isDeltaPayload(data)) {
+    if (!revision) {
+      throw new Error('Invalid KB format: got a delta without asking for changes');
+    }
+    const delta = parseDelta(data, revision);
+    if (delta.chainBroken) {
+      return delta;
+    }
+    // Validation reports are merged by the caller, which knows the report of the cached KB
+    const { kb, report } = prepareKB(delta.articles, 'remote');
+    const touchedIds = [...delta.articles.map(article => article && article.id), ...delta.deleted];
+    return { notModified: false, delta: { ...delta, articles: kb, report, touchedIds } };
+  }
+
+  const articles = Array.isArray(data) ? data : (data && data.articles);
   
   // Validate that it's an array
-  if (!Array.isArray(data)) {
+  if (!Array.isArray(articles)) {
     throw new Error('Invalid KB format: expected array of articles');
   }
 
-  return data;
+  const { kb, report } = prepareKB(articles, 'remote');
+  if (kb.length === 0) {
+    throw new Error(`Invalid KB: none of the ${articles.length} articles passed validation`);
+  }
+
+  return {
+    notModified: false,
+    kb: kb,
+    report: report,
+    synonyms: Array.isArray(data) ? [] : sanitizeSynonymGroups(data.synonyms),
+    version: !Array.isArray(data) && data.version ? String(data.version) : null,
+    revision: getPayloadRevision(data),
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified')
+  };
+}
+
+/**
+ * Remove the cached KB, validators, revision and status of every source from storage.
+ * Imported files keep their articles, which cannot be downloaded again.
+ */
+async function clearKBCache() {
+  await ensureInitialized();
+  await clearSourceCaches(kbSources.filter(source => source.type === 'url').map(source => source.id));
+  sourceStatuses = {};
+  validationReport = null;
+}
+
+/**
+ * Keep a KB in memory and bring the search index in line with it
+ * @param {Array} kb - KB articles in the enhanced model
+ * @param {Array<string[]>} [synonyms] - Synonym groups that came with the KB
+ * @param {string} [version] - KB version
+ */
+function setMemoryKB(kb, synonyms = [], version = null) {
+  cachedKB = kb;
+  kbVersion = version;
+  kbSynonyms = synonyms;
+  applySynonyms();
+  const stats = searchIndex.update(kb);
+  if (stats.added || stats.updated || stats.removed) {
+    console.log('Search index updated:', stats);
+  }
+}
+
+/**
+ * Put a source's cached KB in memory. For an imported file the cache is the KB itself.
+ * @param {KBSource} source - The source
+ * @param {SourceCache} cached - The source's cache
+ */
+function useSourceCache(source, cached) {
+  // Caches written before the enhanced model may still hold legacy articles,
+  // and caches written before validation may hold invalid ones
+  const { kb, report } = prepareKB(cached.kb, 'cache');
+  sourceKBs.set(source.id, {
+    kb: kb,
+    synonyms: sanitizeSynonymGroups(cached.synonyms),
+    version: cached.version || null,
+    origin: source.type === 'file' ? 'file' : 'cache',
+    fetchedAt: cached.timestamp,
+    checkedAt: cached.checkedAt,
+    // A clean cache keeps the report of the payload it came from
+    report: report.invalid.length > 0 || !cached.report ? report : cached.report
+  });
 }
 
 /**
- * Save KB to extension storage with timestamp
- * @param {Array} kb - The KB articles to cache
+ * Merge a delta into a source's cached KB and cache the result
+ * @param {KBSource} source - The source
+ * @param {SourceCache} cached - Cached KB the delta starts from
+ * @param {Object} delta - Delta from fetchRemoteKB()
+ * @returns {Promise<boolean>} - True if the delta changed any article
  */
-async function cacheKB(kb) {
+async function applyDeltaToCache(source, cached, delta) {
+  // A changed article that fails validation is quarantined, just as a full resync would leave it out
+  const validIds = new Set(delta.articles.map(article => String(article.id)));
+  const quarantinedIds = delta.report.invalid
+    .map(entry => entry.id)
+    .filter(id => id !== undefined && !validIds.has(String(id)));
+  const changed = delta.articles.length > 0 || delta.deleted.length > 0 || quarantinedIds.length > 0;
+  const previous = cached.revision || { fullSyncAt: cached.timestamp, deltaCount: 0 };
+  const revision = {
+    ...previous,
+    revision: delta.revision,
+    deltaCount: previous.deltaCount + 1,
+    lastDeltaAt: Date.now()
+  };
+
+  if (!changed && delta.synonyms === undefined && delta.version === undefined) {
+    if (!sourceKBs.has(source.id)) {
+      useSourceCache(source, cached);
+    }
+    await updateSourceCache(source, { revision: revision, checkedAt: Date.now() });
+    return false;
+  }
+
+  const kb = applyDelta(cached.kb, delta.articles, [...delta.deleted, ...quarantinedIds]);
+  if (kb.length === 0) {
+    throw new Error('Invalid KB: no valid articles left after applying the delta');
+  }
+
+  const report = mergeValidationReports(cached.report || null, delta.report, delta.touchedIds, kb.length);
+  const synonyms = delta.synonyms === undefined ? cached.synonyms : sanitizeSynonymGroups(delta.synonyms);
+  const version = delta.version === undefined ? cached.version : (delta.version ? String(delta.version) : null);
+  const now = Date.now();
+  // The validators describe the full KB before the delta, so they are dropped
+  await saveSourceCache(source, {
+    url: source.url, kb, synonyms, version, timestamp: now, checkedAt: now,
+    etag: null, lastModified: null, revision, report
+  });
+  sourceKBs.set(source.id, { kb, synonyms, version, origin: 'remote', fetchedAt: now, checkedAt: now, report });
+  console.log(`Applied KB delta ${previous.revision} -> ${delta.revision} to source ${source.name}:`,
+    { changed: delta.articles.length, deleted: delta.deleted.length, quarantined: quarantinedIds.length });
+  return true;
+}
+
+/**
+ * Fetch a source's KB, or have the source confirm its cached copy.
+ * A cached copy with a revision is updated with the changes since that revision;
+ * if the source cannot send them, the full KB is downloaded again.
+ * @param {KBSource} source - The source
+ * @param {SourceCache|null} cached - The source's cache, if any
+ * @returns {Promise<boolean>} - True if a new KB was downloaded, false if the cached copy is current
+ */
+async function fetchSourceKB(source, cached) {
+  const revision = cached && cached.revision ? cached.revision.revision : null;
+  let result = await fetchRemoteKB(source.url, cached || {}, revision, source.auth);
+  if (result.chainBroken) {
+    console.warn(`KB delta chain of source ${source.name} broken, downloading the full KB:`, result.chainBroken);
+    result = await fetchRemoteKB(source.url, cached, null, source.auth);
+  }
+  const now = Date.now();
+
+  if (result.notModified) {
+    if (!cached) {
+      throw new Error('KB source answered 304 Not Modified without a cached copy');
+    }
+    if (!sourceKBs.has(source.id)) {
+      useSourceCache(source, cached);
+    }
+    await updateSourceCache(source, { checkedAt: now });
+    Object.assign(sourceKBs.get(source.id), { origin: 'remote', checkedAt: now });
+    return false;
+  }
+
+  if (result.delta) {
+    const changed = await applyDeltaToCache(source, cached, result.delta);
+    Object.assign(sourceKBs.get(source.id), { origin: 'remote', checkedAt: now });
+    return changed;
+  }
+
+  const cache = {
+    url: source.url,
+    kb: result.kb,
+    synonyms: result.synonyms,
+    version: result.version,
+    timestamp: now,
+    checkedAt: now,
+    etag: result.etag || null,
+    lastModified: result.lastModified || null,
+    revision: result.revision ? { revision: result.revision, fullSyncAt: now, deltaCount: 0, lastDeltaAt: null } : null,
+    report: result.report
+  };
+  await saveSourceCache(source, cache);
+  sourceKBs.set(source.id, {
+    kb: cache.kb,
+    synonyms: cache.synonyms,
+    version: cache.version,
+    origin: 'remote',
+    fetchedAt: now,
+    checkedAt: now,
+    report: cache.report
+  });
+  return true;
+}
+
+/**
+ * Fetch a source's KB and record the outcome in the source's status
+ * @param {KBSource} source - The source
+ * @param {SourceCache|null} cached - The source's cache, if any
+ * @returns {Promise<boolean>} - True if a new KB was downloaded, false if the cached copy is current
+ */
+async function fetchSource(source, cached) {
+  const attemptAt = Date.now();
   try {
-    const timestamp = Date.now();
-    await chrome.storage.local.set({
-      [STORAGE_KEY_KB]: kb,
-      [STORAGE_KEY_TIMESTAMP]: timestamp
+    const changed = await fetchSourceKB(source, cached);
+    sourceStatuses = await saveSourceStatus(source.id, {
+      lastAttemptAt: attemptAt,
+      lastSuccessAt: attemptAt,
+      lastError: null,
+      articleCount: sourceKBs.get(source.id).kb.length,
+      authFailed: false
     });
-    console.log('KB cached successfully at', new Date(timestamp).toISOString());
+    return changed;
   } catch (error) {
-    console.error('Failed to cache KB:', error);
+    sourceStatuses = await saveSourceStatus(source.id, {
+      lastAttemptAt: attemptAt,
+      lastError: error.message,
+      authFailed: error instanceof KBAuthError
+    });
+    throw error;
   }
 }
 
 /**
- * Load KB from extension storage
- * @returns {Promise<Object|null>} - Object with kb and timestamp, or null if not found
+ * Load one source's KB into memory: its cache (unless forcing a refresh), else a
+ * download, else its cache after all
+ * @param {KBSource} source - The source
+ * @param {boolean} forceRefresh - If true, ask the source even if it has a cache
+ * @returns {Promise<Object>} - Object with loaded, fromCache, changed (a download changed the KB)
+ *   and authError (KBAuthError if the source rejected the credentials)
  */
-async function loadCachedKB() {
-  try {
-    const result = await chrome.storage.local.get([STORAGE_KEY_KB, STORAGE_KEY_TIMESTAMP]);
-    if (result[STORAGE_KEY_KB] && result[STORAGE_KEY_TIMESTAMP]) {
-      return {
-        kb: result[STORAGE_KEY_KB],
-        timestamp: result[STORAGE_KEY_TIMESTAMP]
-      };
+async function loadSource(source, forceRefresh) {
+  const cached = await loadSourceCache(source);
+  const usableCache = cached && cached.kb.length > 0 ? cached : null;
+
+  // An imported file has nothing to fetch
+  if (source.type === 'file') {
+    if (!usableCache) {
+      console.warn(`No articles stored for imported file ${source.fileName}, import it again`);
+      sourceKBs.delete(source.id);
+      return { loaded: false, fromCache: false, changed: false, authError: null };
     }
+    useSourceCache(source, usableCache);
+    return { loaded: true, fromCache: false, changed: false, authError: null };
+  }
+
+  if (!forceRefresh && usableCache) {
+    useSourceCache(source, usableCache);
+    return { loaded: true, fromCache: true, changed: false };
+  }
+
+  let authError = null;
+  try {
+    console.log(`Fetching KB from source ${source.name}:`, source.url);
+    const changed = await fetchSource(source, usableCache);
+    return { loaded: true, fromCache: false, changed, authError };
   } catch (error) {
-    console.error('Failed to load cached KB:', error);
+    console.warn(`Failed to fetch KB from source ${source.name}, trying its cache:`, error.message);
+    if (error instanceof KBAuthError) {
+      error.sourceName = source.name;
+      authError = error;
+    }
   }
-  return null;
+
+  if (usableCache) {
+    useSourceCache(source, usableCache);
+    return { loaded: true, fromCache: true, changed: false, authError };
+  }
+  sourceKBs.delete(source.id);
+  return { loaded: false, fromCache: false, changed: false, authError };
+}
+
+/**
+ * Merge the KBs of the loaded sources in precedence order and keep the result in memory
+ */
+function mergeLoadedSources() {
+  const entries = getEnabledSources()
+    .filter(source => sourceKBs.has(source.id))
+    .map(source => ({ source, ...sourceKBs.get(source.id) }));
+  const { kb, overridden } = mergeSourceKBs(entries);
+  if (overridden > 0) {
+    console.log(`${overridden} KB article(s) overridden by sources earlier in the list`);
+  }
+
+  const versions = entries.map(entry => entry.version || new Date(entry.fetchedAt).toISOString());
+  const version = entries.length === 1
+    ? versions[0]
+    : entries.map((entry, index) => `${entry.source.name} ${versions[index]}`).join(' + ');
+  validationReport = combineValidationReports(entries);
+  usingMockKB = false;
+  loadError = null;
+  setMemoryKB(kb, entries.flatMap(entry => entry.synonyms), version);
+}
+
+/**
+ * Put the mock KB in memory
+ * @param {string} reason - Why no source could be used
+ */
+function useMockKB(reason) {
+  const { kb, report } = prepareKB(getAllEnhancedArticles(), 'mock');
+  validationReport = report;
+  usingMockKB = true;
+  mockReason = reason;
+  loadError = null;
+  setMemoryKB(kb, [], 'mock');
+}
+
+/**
+ * Check whether a source's KB is older than the max age. Imported files never go stale.
+ * @param {Object} state - The source's entry in sourceKBs
+ * @returns {boolean} - True if the source should be asked for a newer KB
+ */
+function isSourceStale(state) {
+  return state.origin !== 'file' && Date.now() - state.checkedAt > kbMaxAgeMinutes * 60 * 1000;
+}
+
+/**
+ * Check whether the KB in memory is older than the max age, i.e. any loaded source is.
+ * The mock KB never goes stale.
+ * @returns {boolean} - True if a source should be asked for a newer KB
+ */
+function isKBStale() {
+  if (usingMockKB) {
+    return false;
+  }
+  return getEnabledSources().some(source => sourceKBs.has(source.id) && isSourceStale(sourceKBs.get(source.id)));
 }
 
 /**
- * Get the mock KB as fallback
- * @returns {Array} - Mock KB articles
+ * Get the freshness of the KB in memory and of each source
+ * @returns {Object} - Object with source ('remote' if every loaded source came from its URL
+ *   or an imported file, 'file' if all of them are imported files, 'cache', 'mock' or null before loading), fetchedAt (newest download), checkedAt (oldest
+ *   confirmation), maxAgeMinutes, stale, refreshing, lastError (of the sources whose last fetch
+ *   failed), authError (of the sources that rejected their credentials), mockReason (why the
+ *   mock KB is in use), mockBlocked (whether the mock fallback is blocked), loadError (why the
+ *   last load served no KB), blocked (whether that was the mock fallback block) and sources (per source:
+ *   id, name, type, url, enabled, authType, origin, articleCount, fetchedAt, checkedAt, stale,
+ *   lastAttemptAt, lastSuccessAt, lastError and authFailed)
  */
-function getMockKB() {
-  return mockGetAllArticles();
+function getKBStatus() {
+  const sources = kbSources.map(source => {
+    const state = sourceKBs.get(source.id);
+    const status = sourceStatuses[source.id] || {};
+    return {
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      url: source.url,
+      enabled: source.enabled,
+      authType: source.auth.type,
+      origin: state ? state.origin : null,
+      articleCount: state ? state.kb.length : 0,
+      fetchedAt: state ? state.fetchedAt : null,
+      checkedAt: state ? state.checkedAt : null,
+      stale: Boolean(state) && source.enabled && isSourceStale(state),
+      lastAttemptAt: status.lastAttemptAt || null,
+      lastSuccessAt: status.lastSuccessAt || null,
+      lastError: status.lastError || null,
+      authFailed: Boolean(status.authFailed)
+    };
+  });
+  const loaded = usingMockKB ? [] : sources.filter(source => source.enabled && source.origin);
+  const errors = sources
+    .filter(source => source.enabled && source.lastError)
+    .map(source => `${source.name}: ${source.lastError}`);
+  const authErrors = sources
+    .filter(source => source.enabled && source.authFailed)
+    .map(source => `${source.name}: ${source.lastError}`);
+
+  let origin = null;
+  if (usingMockKB) {
+    origin = 'mock';
+  } else if (loaded.every(source => source.origin === 'file') && loaded.length > 0) {
+    origin = 'file';
+  } else if (loaded.length > 0) {
+    origin = loaded.some(source => source.origin === 'cache') ? 'cache' : 'remote';
+  }
+
+  return {
+    source: origin,
+    fetchedAt: loaded.length > 0 ? Math.max(...loaded.map(source => source.fetchedAt)) : null,
+    checkedAt: loaded.length > 0 ? Math.min(...loaded.map(source => source.checkedAt)) : null,
+    maxAgeMinutes: kbMaxAgeMinutes,
+    stale: isKBStale(),
+    refreshing: revalidation !== null,
+    lastError: errors.length > 0 ? errors.join('; ') : null,
+    authError: authErrors.length > 0 ? authErrors.join('; ') : null,
+    mockReason: usingMockKB ? mockReason : null,
+    mockBlocked: mockFallbackBlocked,
+    loadError: loadError ? loadError.message : null,
+    blocked: loadError instanceof KBUnavailableError,
+    sources: sources
+  };
+}
+
+/**
+ * Call a function with getKBStatus() whenever the KB or its freshness changes,
+ * e.g. when a background refresh finishes
+ * @param {Function} listener - Receives the status object
+ */
+function addKBStatusListener(listener) {
+  statusListeners.add(listener);
+}
+
+/**
+ * Stop calling a status listener
+ * @param {Function} listener - A listener passed to addKBStatusListener()
+ */
+function removeKBStatusListener(listener) {
+  statusListeners.delete(listener);
+}
+
+/**
+ * Tell the status listeners about the current status
+ */
+function notifyStatusListeners() {
+  const status = getKBStatus();
+  statusListeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error('KB status listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Refresh stale sources, and sources that could not be loaded, in the background while
+ * the stale KB keeps being served.
+ * Does nothing if a refresh is running or one started within REVALIDATE_RETRY_MS.
+ */
+function revalidateInBackground() {
+  if (revalidation || Date.now() - lastRevalidationAt < REVALIDATE_RETRY_MS) {
+    return;
+  }
+  lastRevalidationAt = Date.now();
+  const targets = getEnabledSources()
+    .filter(source => source.type === 'url')
+    .filter(source => !sourceKBs.has(source.id) || isSourceStale(sourceKBs.get(source.id)));
+
+  revalidation = (async () => {
+    const changes = await Promise.all(targets.map(async source => {
+      try {
+        return await fetchSource(source, await loadSourceCache(source));
+      } catch (error) {
+        console.warn(`Background refresh of source ${source.name} failed, serving its stale KB:`, error.message);
+        return false;
+      }
+    }));
+    if (changes.some(Boolean)) {
+      mergeLoadedSources();
+      console.log('KB refreshed in the background');
+    }
+  })();
+  revalidation.finally(() => {
+    revalidation = null;
+    notifyStatusListeners();
+  });
+  notifyStatusListeners();
 }
 
 /**
  * Load KB with the following priority:
  * 1. Use in-memory cache if available
- * 2. Try to fetch from remote URL if configured
- * 3. Use cached KB from storage if available
- * 4. Fallback to mock KB
- * @param {boolean} forceRefresh - If true, bypass cache and fetch fresh
- * @returns {Promise<Object>} - Object with kb array and metadata
+ * 2. For each enabled source: use its cache, refreshing it in the background once it is stale;
+ *    without a cache, fetch from its URL
+ * 3. Merge the sources by article id, earlier sources first
+ * 4. Fallback to mock KB if no source could be loaded, unless a source rejected the credentials
+ *    or the fallback is blocked
+ * @param {boolean} forceRefresh - If true, skip the in-memory and cached KBs and ask every
+ *   source (conditionally, when it has a cached copy); sources that fail fall back to their cache
+ * @returns {Promise<Object>} - Object with kb array and metadata (source, timestamp, stale,
+ *   and notModified when every source confirmed its cached copy)
+ * @throws {KBAuthError} - If no source could be loaded and a source answered 401 or 403;
+ *   bad credentials are reported instead of silently switching to the mock KB
+ * @throws {KBUnavailableError} - If no source could be loaded and the mock fallback is blocked
  */
 async function loadKB(forceRefresh = false) {
   // Ensure initialization is complete before proceeding
@@ -145,58 +802,69 @@ async function loadKB(forceRefresh = false) {
 
   // Return in-memory cache if available and not forcing refresh
   if (!forceRefresh && cachedKB !== null) {
+    if (isKBStale()) {
+      revalidateInBackground();
+    }
     return {
       kb: cachedKB,
       source: 'memory',
-      timestamp: null
+      timestamp: null,
+      stale: isKBStale()
     };
   }
 
-  // Try to fetch from remote URL if configured
-  if (kbSourceUrl && kbSourceUrl.trim() !== '') {
-    try {
-      console.log('Fetching KB from remote URL:', kbSourceUrl);
-      const kb = await fetchRemoteKB(kbSourceUrl);
-      
-      // Cache the fetched KB
-      await cacheKB(kb);
-      cachedKB = kb;
-      
-      return {
-        kb: kb,
-        source: 'remote',
-        timestamp: Date.now()
-      };
-    } catch (error) {
-      console.warn('Failed to fetch remote KB, trying cache:', error.message);
+  const sources = getEnabledSources();
+  [...sourceKBs.keys()].forEach(id => {
+    if (!sources.some(source => source.id === id)) {
+      sourceKBs.delete(id);
     }
-  }
+  });
+  const outcomes = await Promise.all(sources.map(source => loadSource(source, forceRefresh)));
 
-  // Try to load from cached storage
-  const cached = await loadCachedKB();
-  if (cached && cached.kb && cached.kb.length > 0) {
-    cachedKB = cached.kb;
-    return {
-      kb: cached.kb,
-      source: 'cache',
-      timestamp: cached.timestamp
+  if (outcomes.some(outcome => outcome.loaded)) {
+    mergeLoadedSources();
+    if (isKBStale()) {
+      revalidateInBackground();
+    }
+    notifyStatusListeners();
+
+    const fromCache = outcomes.some(outcome => outcome.fromCache);
+    const result = {
+      kb: cachedKB,
+      source: fromCache ? 'cache' : 'remote',
+      timestamp: getKBStatus().fetchedAt,
+      stale: isKBStale()
     };
+    if (!fromCache) {
+      result.notModified = !outcomes.some(outcome => outcome.changed);
+    }
+    return result;
+  }
+
+  const failed = outcomes.find(outcome => outcome.authError);
+  const reason = sources.length === 0 ? 'No KB source is enabled' : 'No KB source could be loaded';
+  if (failed || mockFallbackBlocked) {
+    usingMockKB = false;
+    loadError = failed ? failed.authError : new KBUnavailableError(reason);
+    notifyStatusListeners();
+    throw loadError;
   }
 
   // Fallback to mock KB
-  console.log('Using mock KB as fallback');
-  const mockKB = getMockKB();
-  cachedKB = mockKB;
+  console.warn(`${reason}, using mock KB as fallback`);
+  useMockKB(reason);
+  notifyStatusListeners();
   
   return {
-    kb: mockKB,
+    kb: cachedKB,
     source: 'mock',
-    timestamp: null
+    timestamp: null,
+    stale: false
   };
 }
 
 /**
- * Refresh the KB by forcing a fetch from remote source
+ * Refresh the KB by asking every source, conditionally if it has a cached copy
  * @returns {Promise<Object>} - Result of loadKB with forceRefresh=true
  */
 async function refreshKB() {
@@ -204,59 +872,208 @@ async function refreshKB() {
   return await loadKB(true);
 }
 
+/**
+ * Reload the settings and the cached KBs, e.g. after the background sync replaced them
+ * or the sources were changed on the options page
+ * @returns {Promise<Object>} - Result of loadKB
+ */
+async function reloadCachedKB() {
+  await initKBLoader();
+  cachedKB = null;
+  sourceKBs.clear();
+  const result = await loadKB();
+  notifyStatusListeners();
+  return result;
+}
+
+/**
+ * Import a KB file as a source: parse it, validate it into the enhanced model and store it
+ * in the source's cache, like a downloaded KB. A new file is added at the end of the source
+ * list; importing a file with the name of an imported source replaces that source's articles.
+ * @param {string} fileName - Name of the file, used to pick the format (see kb-import.js)
+ * @param {string} text - File content
+ * @returns {Promise<Object>} - Object with source (the KBSource), format, articleCount and report
+ */
+async function importKBFile(fileName, text) {
+  await ensureInitialized();
+  const parsed = parseKBFile(fileName, text);
+  if (parsed.articles.length === 0) {
+    throw new Error(`No articles found in ${fileName}`);
+  }
+  const { kb, report } = prepareKB(parsed.articles, 'file');
+  if (kb.length === 0) {
+    throw new Error(`Invalid KB: none of the ${parsed.articles.length} articles in ${fileName} passed validation`);
+  }
+
+  let source = kbSources.find(candidate => candidate.type === 'file' && candidate.fileName === fileName);
+  if (!source) {
+    await setKBSources([...kbSources, { type: 'file', fileName: fileName }]);
+    source = kbSources[kbSources.length - 1];
+  }
+
+  const now = Date.now();
+  await saveSourceCache(source, {
+    url: source.url,
+    kb: kb,
+    synonyms: parsed.synonyms,
+    version: parsed.version,
+    timestamp: now,
+    checkedAt: now,
+    etag: null,
+    lastModified: null,
+    revision: null,
+    report: report
+  });
+  sourceStatuses = await saveSourceStatus(source.id, {
+    lastAttemptAt: now,
+    lastSuccessAt: now,
+    lastError: null,
+    articleCount: kb.length,
+    authFailed: false
+  });
+  // Merge again on the next load
+  sourceKBs.delete(source.id);
+  cachedKB = null;
+  console.log(`Imported ${kb.length} KB article(s) from ${fileName} (${parsed.format})`);
+  return { source: { ...source, auth: { ...source.auth } }, format: parsed.format, articleCount: kb.length, report };
+}
+
+/**
+ * Fetch a KB source URL without caching or using it, to check that it works
+ * @param {string} url - The URL to test
+ * @param {KBSourceAuth|null} [auth] - Credentials to send (see kb-auth.js)
+ * @returns {Promise<Object>} - Object with articleCount and the validation report of the payload
+ */
+async function testKBSource(url, auth = null) {
+  const result = await fetchRemoteKB(url, {}, null, auth);
+  return { articleCount: result.kb.length, report: result.report };
+}
+
+// Default number of ranked results, the BM25 score a result must beat to be returned,
+// and the fraction of the top score a result needs so weak tail matches are dropped
+const DEFAULT_SEARCH_LIMIT = 5;
+const DEFAULT_MIN_SCORE = 2;
+const RELATIVE_SCORE_CUTOFF = 0.25;
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Object} article - The matching article
+ * @property {number} score - BM25 score (higher is better)
+ * @property {Object} matches - Why the article matched: field name (title, tags,
+ *   keywords, product, summary, steps, prechecks, fallbacks, stop_conditions)
+ *   -> query words found in that field
+ */
+
+/**
+ * Set the weight of each article field in search scoring
+ * @param {Object} fieldWeights - Field name -> weight (see DEFAULT_FIELD_WEIGHTS in search-index.js)
+ */
+function setSearchFieldWeights(fieldWeights) {
+  searchIndex.setFieldWeights(fieldWeights);
+}
+
+/**
+ * Search the KB and return a ranked list of matching articles
+ * @param {string} query - The user's issue description
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum number of results
+ * @param {number} [options.minScore] - Results must score above this
+ * @param {Array} [options.excludeIds] - Article ids to leave out of the results
+ * @param {string} [options.product] - Only return articles for this product
+ * @param {string} [options.version] - Only return articles covering this version
+ *   (articles without a version cover all versions)
+ * @returns {Promise<SearchResult[]>} - Matching articles, best first
+ */
+async function search(query, options = {}) {
+  if (!query || query.trim().length === 0) {
+    return [];
+  }
+
+  const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+  const minScore = options.minScore !== undefined ? options.minScore : DEFAULT_MIN_SCORE;
+
+  // Load KB (will use cache if available), which also keeps the index current
+  await loadKB();
+
+  const filters = { product: options.product, version: options.version };
+  const results = searchIndex.search(query, { excludeIds: options.excludeIds })
+    .filter(result => matchesFacets(result.article, filters));
+  const cutoff = results.length > 0 ? results[0].score * RELATIVE_SCORE_CUTOFF : 0;
+
+  return results
+    .filter(result => result.score > minScore && result.score >= cutoff)
+    .slice(0, limit)
+    .map(result => ({
+      article: result.article,
+      score: Math.round(result.score * 10) / 10,
+      matches: result.matchedTerms
+    }));
+}
+
 /**
  * Search for the best matching article based on the user's issue
  * @param {string} query - The user's issue description
+ * @param {Object} [options] - Search options, as for search()
  * @returns {Promise<object|null>} - The best matching article or null if no match
  */
-async function findBestMatch(query) {
-  if (!query || query.trim().length === 0) {
-    return null;
+async function findBestMatch(query, options = {}) {
+  const results = await search(query, { ...options, limit: 1 });
+  return results.length > 0 ? results[0].article : null;
+}
+
+/**
+ * Get the version of the loaded KB, for tagging feedback and analytics
+ * @returns {Promise<string>} - The source's version field, the time the KB was fetched, or 'mock'
+ */
+async function getKBVersion() {
+  await loadKB();
+  return kbVersion;
+}
+
+/**
+ * Get the validation report of the loaded KB, listing quarantined articles with their errors.
+ * Does not load the KB: before the first load this combines the stored reports of the sources.
+ * @returns {Promise<Object|null>} - ValidationReport (see kb-validator.js) with source and
+ *   validatedAt, or null if no KB has been validated yet
+ */
+async function getValidationReport() {
+  if (validationReport) {
+    return validationReport;
   }
+  await ensureInitialized();
+  const entries = await Promise.all(getEnabledSources().map(async source => {
+    const cached = await loadSourceCache(source);
+    return { source, report: cached ? cached.report : null };
+  }));
+  return combineValidationReports(entries);
+}
 
-  // Load KB (will use cache if available)
+/**
+ * Get the products in the KB with the versions their articles cover
+ * @returns {Promise<Array>} - Objects with product, versions and articleCount
+ */
+async function getFacets() {
   const kbData = await loadKB();
-  const knowledgeBase = kbData.kb;
+  return listFacets(kbData.kb);
+}
 
-  const queryLower = query.toLowerCase();
-  const queryWords = queryLower.split(/\s+/);
-  
-  let bestMatch = null;
-  let highestScore = 0;
-
-  knowledgeBase.forEach(article => {
-    let score = 0;
-    
-    // Check keyword matches
-    if (article.keywords && Array.isArray(article.keywords)) {
-      article.keywords.forEach(keyword => {
-        const keywordLower = keyword.toLowerCase();
-        if (queryLower.includes(keywordLower)) {
-          score += 10; // Strong match for keyword
-        }
-        
-        // Check for partial word matches
-        queryWords.forEach(word => {
-          if (word.length > 3 && keywordLower.includes(word)) {
-            score += 5;
-          }
-        });
-      });
-    }
-    
-    // Check title matches
-    if (article.title && queryLower.includes(article.title.toLowerCase())) {
-      score += 15;
-    }
-    
-    if (score > highestScore) {
-      highestScore = score;
-      bestMatch = article;
-    }
-  });
+/**
+ * Detect the product and version a query mentions, e.g. "outlook 365" -> Microsoft Outlook, 365
+ * @param {string} query - The user's issue description
+ * @returns {Promise<Object>} - Object with product and version, each null when not detected
+ */
+async function detectQueryFacets(query) {
+  return detectFacets(query, await getFacets());
+}
 
-  // Return match only if score is above threshold
-  return highestScore > 5 ? bestMatch : null;
+/**
+ * Find an article by id
+ * @param {*} id - The article id
+ * @returns {Promise<object|null>} - The article or null if it is not in the KB
+ */
+async function getArticleById(id) {
+  const kbData = await loadKB();
+  return kbData.kb.find(article => article.id === id) || null;
 }
 
 /**
@@ -270,19 +1087,58 @@ async function getAllArticles() {
 
 /**
  * Get cache metadata
- * @returns {Promise<Object>} - Information about the current cache
+ * @returns {Promise<Object>} - Information about the cached KBs of the enabled sources
+ *   (hasCachedKB, articleCount, timestamp of the newest download, checkedAt of the oldest
+ *   confirmation, stale, maxAgeMinutes) and sources with the cache of each source, including
+ *   its validators, the revision it is at, when the full KB was last downloaded and how many
+ *   deltas were applied since (for sources with deltas)
  */
 async function getCacheInfo() {
   // Ensure initialization is complete before proceeding
   await ensureInitialized();
 
-  const cached = await loadCachedKB();
+  const sources = await Promise.all(kbSources.map(async source => {
+    const cached = await loadSourceCache(source);
+    // Revision metadata of a source that supports delta updates
+    const revision = cached ? cached.revision : null;
+    return {
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      url: source.url,
+      fileName: source.fileName || null,
+      enabled: source.enabled,
+      hasCachedKB: cached !== null,
+      timestamp: cached ? cached.timestamp : null,
+      timestampDate: cached ? new Date(cached.timestamp).toISOString() : null,
+      checkedAt: cached ? cached.checkedAt : null,
+      checkedAtDate: cached ? new Date(cached.checkedAt).toISOString() : null,
+      stale: cached !== null && Date.now() - cached.checkedAt > kbMaxAgeMinutes * 60 * 1000,
+      etag: cached ? cached.etag : null,
+      lastModified: cached ? cached.lastModified : null,
+      revision: revision ? revision.revision : null,
+      fullSyncAt: revision ? revision.fullSyncAt : null,
+      fullSyncAtDate: revision ? new Date(revision.fullSyncAt).toISOString() : null,
+      deltaCount: revision ? revision.deltaCount : 0,
+      lastDeltaAt: revision ? revision.lastDeltaAt : null,
+      lastDeltaAtDate: revision && revision.lastDeltaAt ? new Date(revision.lastDeltaAt).toISOString() : null,
+      articleCount: cached ? cached.kb.length : 0
+    };
+  }));
+
+  const cachedSources = sources.filter(source => source.enabled && source.hasCachedKB);
+  const timestamp = cachedSources.length > 0 ? Math.max(...cachedSources.map(source => source.timestamp)) : null;
+  const checkedAt = cachedSources.length > 0 ? Math.min(...cachedSources.map(source => source.checkedAt)) : null;
   return {
-    hasCachedKB: cached !== null,
-    timestamp: cached ? cached.timestamp : null,
-    timestampDate: cached ? new Date(cached.timestamp).toISOString() : null,
-    articleCount: cached ? cached.kb.length : 0,
-    sourceUrl: kbSourceUrl
+    hasCachedKB: cachedSources.length > 0,
+    timestamp: timestamp,
+    timestampDate: timestamp ? new Date(timestamp).toISOString() : null,
+    checkedAt: checkedAt,
+    checkedAtDate: checkedAt ? new Date(checkedAt).toISOString() : null,
+    stale: cachedSources.some(source => source.stale),
+    maxAgeMinutes: kbMaxAgeMinutes,
+    articleCount: cachedSources.reduce((sum, source) => sum + source.articleCount, 0),
+    sources: sources
   };
 }
 
@@ -291,12 +1147,33 @@ initPromise = initKBLoader();
 
 // Export functions for use in other modules
 export { 
+  search,
+  setSearchFieldWeights,
+  setCustomSynonyms,
+  getCustomSynonyms,
   findBestMatch, 
+  getFacets,
+  detectQueryFacets,
+  getArticleById,
+  getKBVersion,
+  getValidationReport,
   getAllArticles, 
   loadKB, 
   refreshKB, 
-  setKBSourceUrl, 
-  getKBSourceUrl,
+  reloadCachedKB,
+  getKBStatus,
+  addKBStatusListener,
+  removeKBStatusListener,
+  setKBSources,
+  getKBSources,
+  testKBSource,
+  importKBFile,
+  setKBMaxAge,
+  getKBMaxAge,
+  setMockFallbackBlocked,
+  isMockFallbackBlocked,
+  KBUnavailableError,
   getCacheInfo,
+  clearKBCache,
   initKBLoader 
 };
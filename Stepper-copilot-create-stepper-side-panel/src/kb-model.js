@@ -0,0 +1,76 @@
+// KB Model Module
+// Converts articles into the enhanced knowledge article model (see docs/KB_DATA_MODEL.md)
+
+/**
+ * Check whether an article uses the legacy flat model (string steps, keywords)
+ * @param {object} article - The article to inspect
+ * @returns {boolean} - True if the article needs conversion
+ */
+function isLegacyArticle(article) {
+  if (!article || !Array.isArray(article.steps)) {
+    return false;
+  }
+  return article.steps.some(step => typeof step === 'string') ||
+    (!Array.isArray(article.tags) && Array.isArray(article.keywords));
+}
+
+/**
+ * Convert a single step into a step object
+ * @param {string|object} step - Legacy step string or enhanced step object
+ * @param {string} idPrefix - Prefix used to generate missing step ids
+ * @param {number} index - Zero-based position of the step in its path
+ * @returns {object} - Step object with at least id, text and type
+ */
+function normalizeStep(step, idPrefix, index) {
+  if (typeof step === 'string') {
+    return {
+      id: `${idPrefix}-${index + 1}`,
+      text: step,
+      type: 'action'
+    };
+  }
+
+  return {
+    ...step,
+    id: step.id || `${idPrefix}-${index + 1}`,
+    type: step.type || 'action'
+  };
+}
+
+/**
+ * Convert an article into the enhanced model.
+ * Enhanced articles pass through with missing optional fields filled in, so the
+ * rest of the extension can rely on every array field being present.
+ * @param {object} article - Legacy or enhanced article
+ * @returns {object} - Article in the enhanced model
+ */
+function normalizeArticle(article) {
+  const tags = Array.isArray(article.tags) ? article.tags : (article.keywords || []);
+
+  return {
+    ...article,
+    tags: tags,
+    product: article.product || '',
+    summary: article.summary || '',
+    prechecks: Array.isArray(article.prechecks) ? article.prechecks : [],
+    steps: (article.steps || []).map((step, index) => normalizeStep(step, `step-${article.id}`, index)),
+    fallbacks: (article.fallbacks || []).map(fallback => ({
+      ...fallback,
+      trigger_keywords: fallback.trigger_keywords || [],
+      steps: (fallback.steps || []).map((step, index) => normalizeStep(step, `fb-${fallback.id}`, index))
+    })),
+    stop_conditions: Array.isArray(article.stop_conditions) ? article.stop_conditions : [],
+    escalation: article.escalation || null
+  };
+}
+
+/**
+ * Convert a list of articles into the enhanced model
+ * @param {Array} articles - Legacy and/or enhanced articles
+ * @returns {Array} - Articles in the enhanced model
+ */
+function normalizeKB(articles) {
+  return articles.map(normalizeArticle);
+}
+
+export { isLegacyArticle, normalizeStep, normalizeArticle, normalizeKB };
@@ -0,0 +1,317 @@
+// KB Sources Module
+// The ordered list of KB sources, each with its own cache and sync status in chrome.storage
+// Sources are merged by article id; a source earlier in the list wins over later ones
+
+import { sanitizeAuth } from './kb-auth.js';
+
+// Storage keys
+const STORAGE_KEY_SOURCES = 'kb_sources';
+const STORAGE_KEY_SOURCE_STATUS = 'kb_source_status';
+const SOURCE_CACHE_KEY_PREFIX = 'kb_source_cache:';
+
+// Single-source settings and cache written before multiple sources were supported
+const LEGACY_KEY_SOURCE_URL = 'kb_source_url';
+const LEGACY_CACHE_KEYS = {
+  kb: 'cached_kb',
+  timestamp: 'cached_kb_timestamp',
+  synonyms: 'cached_kb_synonyms',
+  version: 'cached_kb_version',
+  url: 'cached_kb_url',
+  etag: 'cached_kb_etag',
+  lastModified: 'cached_kb_last_modified',
+  checkedAt: 'cached_kb_checked_at',
+  revision: 'cached_kb_revision',
+  report: 'kb_validation_report'
+};
+
+/**
+ * @typedef {Object} KBSource
+ * @property {string} id - Stable id, used for the source's cache and status
+ * @property {string} name - Name shown on the options page and next to search results
+ * @property {string} type - 'url' for a KB downloaded from url, 'file' for an imported file (see kb-import.js)
+ * @property {string} url - URL of the source's JSON payload (empty for imported files)
+ * @property {string} [fileName] - Name of the imported file (type 'file')
+ * @property {boolean} enabled - Disabled sources are kept but not loaded
+ * @property {KBSourceAuth} auth - Credentials sent with every request (see kb-auth.js)
+ */
+
+/**
+ * @typedef {Object} SourceCache
+ * @property {string} url - URL the KB was downloaded from (empty for imported files)
+ * @property {Array} kb - Valid articles in the enhanced model
+ * @property {Array<string[]>} synonyms - Synonym groups that came with the KB
+ * @property {string|null} version - Version that came with the KB
+ * @property {number} timestamp - When the KB was downloaded
+ * @property {number} checkedAt - When the source last confirmed the KB
+ * @property {string|null} etag - ETag response header, for conditional requests
+ * @property {string|null} lastModified - Last-Modified response header, for conditional requests
+ * @property {Object|null} revision - Delta revision metadata (see kb-delta.js)
+ * @property {Object|null} report - Validation report of the source's payload
+ */
+
+/**
+ * @typedef {Object} SourceStatus
+ * @property {number|null} lastAttemptAt - When the source was last fetched
+ * @property {number|null} lastSuccessAt - When a fetch last succeeded
+ * @property {string|null} lastError - Why the last fetch failed, or null if it succeeded
+ * @property {number} articleCount - Valid articles after the last successful fetch
+ * @property {boolean} authFailed - Whether the last fetch failed because the source rejected the credentials
+ */
+
+/**
+ * Create an id for a new source
+ * @returns {string} - Source id
+ */
+function createSourceId() {
+  return `src-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Name a source after its URL's host
+ * @param {string} url - Source URL
+ * @returns {string} - Host name, or the URL itself if it cannot be parsed
+ */
+function defaultSourceName(url) {
+  try {
+    return new URL(url).host || url;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Clean up a source list from the options page or storage: drop entries without a URL
+ * (or file name, for imported files) and fill in missing ids, names, enabled flags and auth settings
+ * @param {Array} sources - Sources in precedence order
+ * @returns {KBSource[]} - Valid sources in the same order
+ */
+function sanitizeSources(sources) {
+  if (!Array.isArray(sources)) {
+    return [];
+  }
+  const ids = new Set();
+  const isFile = source => source.type === 'file';
+  const hasText = value => typeof value === 'string' && value.trim() !== '';
+  return sources
+    .filter(source => source && (isFile(source) ? hasText(source.fileName) : hasText(source.url)))
+    .map(source => {
+      const url = isFile(source) ? '' : source.url.trim();
+      let id = typeof source.id === 'string' && source.id ? source.id : createSourceId();
+      if (ids.has(id)) {
+        id = createSourceId();
+      }
+      ids.add(id);
+      const name = hasText(source.name) ? source.name.trim() : (isFile(source) ? source.fileName : defaultSourceName(url));
+      const sanitized = {
+        id: id,
+        name: name,
+        type: isFile(source) ? 'file' : 'url',
+        url: url,
+        enabled: source.enabled !== false,
+        auth: sanitizeAuth(isFile(source) ? null : source.auth)
+      };
+      if (isFile(source)) {
+        sanitized.fileName = source.fileName.trim();
+      }
+      return sanitized;
+    });
+}
+
+/**
+ * Storage key of a source's cache
+ * @param {string} sourceId - Source id
+ * @returns {string} - Storage key
+ */
+function sourceCacheKey(sourceId) {
+  return `${SOURCE_CACHE_KEY_PREFIX}${sourceId}`;
+}
+
+/**
+ * Turn the single KB source URL and its cache into the first entry of the source list
+ * @returns {Promise<KBSource[]>} - The migrated list (empty if no URL was configured)
+ */
+async function migrateLegacySource() {
+  const keys = [LEGACY_KEY_SOURCE_URL, ...Object.values(LEGACY_CACHE_KEYS)];
+  const result = await chrome.storage.local.get(keys);
+  const url = result[LEGACY_KEY_SOURCE_URL];
+  const sources = sanitizeSources(url ? [{ id: 'default', url: url }] : []);
+
+  const legacy = {};
+  Object.entries(LEGACY_CACHE_KEYS).forEach(([field, key]) => {
+    legacy[field] = result[key];
+  });
+  const update = { [STORAGE_KEY_SOURCES]: sources };
+  if (sources.length > 0 && Array.isArray(legacy.kb) && legacy.timestamp && (legacy.url || url) === url) {
+    update[sourceCacheKey('default')] = {
+      url: url,
+      kb: legacy.kb,
+      synonyms: legacy.synonyms || [],
+      version: legacy.version || null,
+      timestamp: legacy.timestamp,
+      checkedAt: legacy.checkedAt || legacy.timestamp,
+      etag: legacy.etag || null,
+      lastModified: legacy.lastModified || null,
+      revision: legacy.revision || null,
+      report: legacy.report && legacy.report.source === 'remote' ? legacy.report : null
+    };
+  }
+
+  await chrome.storage.local.set(update);
+  await chrome.storage.local.remove(keys);
+  return sources;
+}
+
+/**
+ * Load the source list, migrating the single source URL of older versions on first use
+ * @returns {Promise<KBSource[]>} - Sources in precedence order
+ */
+async function loadSources() {
+  const result = await chrome.storage.local.get([STORAGE_KEY_SOURCES]);
+  if (!Array.isArray(result[STORAGE_KEY_SOURCES])) {
+    return migrateLegacySource();
+  }
+  return sanitizeSources(result[STORAGE_KEY_SOURCES]);
+}
+
+/**
+ * Save the source list and remove the cache and status of sources that were removed or
+ * now point to another URL
+ * @param {Array} sources - Sources in precedence order
+ * @param {KBSource[]} previous - The list being replaced
+ * @returns {Promise<KBSource[]>} - The saved list
+ */
+async function saveSources(sources, previous) {
+  const saved = sanitizeSources(sources);
+  const stale = previous
+    .filter(old => !saved.some(source => source.id === old.id && source.url === old.url))
+    .map(old => old.id);
+
+  await chrome.storage.local.set({ [STORAGE_KEY_SOURCES]: saved });
+  if (stale.length > 0) {
+    await chrome.storage.local.remove(stale.map(sourceCacheKey));
+    const statuses = await loadSourceStatuses();
+    stale.forEach(id => delete statuses[id]);
+    await chrome.storage.local.set({ [STORAGE_KEY_SOURCE_STATUS]: statuses });
+  }
+  return saved;
+}
+
+/**
+ * Load a source's cache
+ * @param {KBSource} source - The source
+ * @returns {Promise<SourceCache|null>} - The cache, or null if there is none for the source's current URL
+ */
+async function loadSourceCache(source) {
+  try {
+    const key = sourceCacheKey(source.id);
+    const result = await chrome.storage.local.get([key]);
+    const cached = result[key];
+    if (cached && cached.url === source.url && Array.isArray(cached.kb) && cached.timestamp) {
+      return { ...cached, checkedAt: cached.checkedAt || cached.timestamp };
+    }
+  } catch (error) {
+    console.error(`Failed to load cached KB of source ${source.name}:`, error);
+  }
+  return null;
+}
+
+/**
+ * Save a source's cache
+ * @param {KBSource} source - The source
+ * @param {SourceCache} cache - The cache
+ */
+async function saveSourceCache(source, cache) {
+  try {
+    await chrome.storage.local.set({ [sourceCacheKey(source.id)]: cache });
+    console.log(`KB of source ${source.name} cached at`, new Date(cache.timestamp).toISOString());
+  } catch (error) {
+    console.error(`Failed to cache KB of source ${source.name}:`, error);
+  }
+}
+
+/**
+ * Update some fields of a source's cache, e.g. checkedAt after a 304
+ * @param {KBSource} source - The source
+ * @param {Object} fields - Fields to change
+ */
+async function updateSourceCache(source, fields) {
+  const cached = await loadSourceCache(source);
+  if (cached) {
+    await chrome.storage.local.set({ [sourceCacheKey(source.id)]: { ...cached, ...fields } });
+  }
+}
+
+/**
+ * Remove the caches and statuses of sources
+ * @param {string[]} sourceIds - Ids of the sources
+ */
+async function clearSourceCaches(sourceIds) {
+  await chrome.storage.local.remove([...sourceIds.map(sourceCacheKey), STORAGE_KEY_SOURCE_STATUS]);
+}
+
+/**
+ * Load the sync status of every source
+ * @returns {Promise<Object>} - Source id -> SourceStatus
+ */
+async function loadSourceStatuses() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_SOURCE_STATUS]);
+    return result[STORAGE_KEY_SOURCE_STATUS] || {};
+  } catch (error) {
+    console.warn('Failed to load KB source statuses from storage:', error);
+    return {};
+  }
+}
+
+/**
+ * Record the outcome of fetching a source
+ * @param {string} sourceId - Source id
+ * @param {Object} fields - SourceStatus fields to change
+ * @returns {Promise<Object>} - Source id -> SourceStatus, after the change
+ */
+async function saveSourceStatus(sourceId, fields) {
+  const statuses = await loadSourceStatuses();
+  statuses[sourceId] = { ...statuses[sourceId], ...fields };
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEY_SOURCE_STATUS]: statuses });
+  } catch (error) {
+    console.error('Failed to save KB source status:', error);
+  }
+  return statuses;
+}
+
+/**
+ * Merge the KBs of several sources by article id. Each article is tagged with the
+ * sourceId and sourceName it came from.
+ * @param {Array} entries - Objects with source (KBSource) and kb, in precedence order
+ * @returns {Object} - Object with kb (merged articles) and overridden (articles hidden
+ *   by a source earlier in the list)
+ */
+function mergeSourceKBs(entries) {
+  const byId = new Map();
+  let overridden = 0;
+  entries.forEach(({ source, kb }) => {
+    kb.forEach(article => {
+      const key = String(article.id);
+      if (byId.has(key)) {
+        overridden++;
+        return;
+      }
+      byId.set(key, { ...article, sourceId: source.id, sourceName: source.name });
+    });
+  });
+  return { kb: [...byId.values()], overridden };
+}
+
+export {
+  sanitizeSources,
+  loadSources,
+  saveSources,
+  loadSourceCache,
+  saveSourceCache,
+  updateSourceCache,
+  clearSourceCaches,
+  loadSourceStatuses,
+  saveSourceStatus,
+  mergeSourceKBs
+};
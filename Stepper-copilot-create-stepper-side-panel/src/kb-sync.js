@@ -0,0 +1,142 @@
+// KB Sync Module
+// Scheduled KB refresh run by the background service worker through chrome.alarms
+// Keeps a sync status in chrome.storage and tells open pages when the KB changed
+
+import { refreshKB, getKBSources, getKBStatus, getKBVersion, initKBLoader } from './kb-loader.js';
+
+// Storage keys
+const STORAGE_KEY_INTERVAL = 'kb_sync_interval_minutes';
+const STORAGE_KEY_STATUS = 'kb_sync_status';
+
+// Alarm that triggers the scheduled sync
+const KB_SYNC_ALARM = 'kb-sync';
+
+const DEFAULT_SYNC_INTERVAL_MINUTES = 30;
+
+// Runtime message sent to open pages after a sync downloaded a new KB
+const KB_UPDATED_MESSAGE = 'kb-updated';
+
+/**
+ * @typedef {Object} SyncStatus
+ * @property {number|null} lastAttemptAt - Timestamp of the last sync
+ * @property {number|null} lastSuccessAt - Timestamp of the last sync that reached the source
+ * @property {string|null} lastError - Why the last sync failed, or null if it succeeded
+ * @property {number} articleCount - Articles in the KB after the last successful sync
+ * @property {string|null} version - KB version after the last successful sync
+ */
+
+/**
+ * Get how often the KB is synced
+ * @returns {Promise<number>} - Interval in minutes
+ */
+async function getSyncInterval() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_INTERVAL]);
+    const minutes = Number(result[STORAGE_KEY_INTERVAL]);
+    return minutes > 0 ? minutes : DEFAULT_SYNC_INTERVAL_MINUTES;
+  } catch (error) {
+    console.warn('Failed to load KB sync interval from storage:', error);
+    return DEFAULT_SYNC_INTERVAL_MINUTES;
+  }
+}
+
+/**
+ * Set how often the KB is synced and reschedule the sync alarm
+ * @param {number} minutes - Interval in minutes (at least 1)
+ */
+async function setSyncInterval(minutes) {
+  if (!(minutes >= 1)) {
+    throw new Error('Sync interval must be at least 1 minute');
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY_INTERVAL]: minutes });
+  await chrome.alarms.create(KB_SYNC_ALARM, { periodInMinutes: minutes });
+}
+
+/**
+ * Make sure the sync alarm exists and runs at the configured interval
+ * (alarms survive restarts, but not reinstalls)
+ */
+async function scheduleKBSync() {
+  const minutes = await getSyncInterval();
+  const alarm = await chrome.alarms.get(KB_SYNC_ALARM);
+  if (!alarm || alarm.periodInMinutes !== minutes) {
+    await chrome.alarms.create(KB_SYNC_ALARM, { delayInMinutes: minutes, periodInMinutes: minutes });
+  }
+}
+
+/**
+ * Get the status of the last sync
+ * @returns {Promise<SyncStatus>} - The sync status
+ */
+async function getSyncStatus() {
+  const empty = { lastAttemptAt: null, lastSuccessAt: null, lastError: null, articleCount: 0, version: null };
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_STATUS]);
+    return { ...empty, ...result[STORAGE_KEY_STATUS] };
+  } catch (error) {
+    console.warn('Failed to load KB sync status from storage:', error);
+    return empty;
+  }
+}
+
+/**
+ * Tell open pages that the cached KB changed. Having no page open is not an error.
+ * @param {Object} details - Sent with the message, e.g. version and articleCount
+ */
+async function broadcastKBUpdated(details) {
+  try {
+    await chrome.runtime.sendMessage({ type: KB_UPDATED_MESSAGE, ...details });
+  } catch (error) {
+    // Rejected when no extension page is listening
+  }
+}
+
+/**
+ * Refresh the KB from the enabled sources (conditionally, so an unchanged KB is not
+ * downloaded again), record the sync status and broadcast KB_UPDATED_MESSAGE if it changed.
+ * Does nothing without an enabled URL source (imported files are only updated by importing them again).
+ * @returns {Promise<SyncStatus|null>} - The new sync status, or null if no URL source is enabled
+ */
+async function syncKB() {
+  await initKBLoader();
+  if (!getKBSources().some(source => source.enabled && source.type === 'url')) {
+    return null;
+  }
+
+  const previous = await getSyncStatus();
+  const status = { ...previous, lastAttemptAt: Date.now() };
+  let result = null;
+  try {
+    result = await refreshKB();
+  } catch (error) {
+    // e.g. KBAuthError when no source could be loaded because credentials were rejected
+    status.lastError = getKBStatus().lastError || error.message;
+  }
+
+  // refreshKB() falls back to the cache instead of throwing when a source cannot be reached
+  if (result && result.source === 'remote') {
+    status.lastSuccessAt = status.lastAttemptAt;
+    status.lastError = null;
+    status.articleCount = result.kb.length;
+    status.version = await getKBVersion();
+  } else if (result) {
+    status.lastError = getKBStatus().lastError || `KB source unavailable, using the ${result.source} KB`;
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY_STATUS]: status });
+  if (result && result.source === 'remote' && !result.notModified) {
+    await broadcastKBUpdated({ version: status.version, articleCount: status.articleCount });
+  }
+  return status;
+}
+
+export {
+  KB_SYNC_ALARM,
+  KB_UPDATED_MESSAGE,
+  getSyncInterval,
+  setSyncInterval,
+  scheduleKBSync,
+  getSyncStatus,
+  broadcastKBUpdated,
+  syncKB
+};
@@ -0,0 +1,269 @@
+// KB Validator Module
+// Schema checks for knowledge articles in the legacy and enhanced models (see docs/KB_DATA_MODEL.md)
+// Invalid articles are quarantined with their errors instead of reaching the step manager
+
+import { isLegacyArticle, normalizeStep } from './kb-model.js';
+
+const STEP_TYPES = ['action', 'check'];
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} rule - Lint rule the problem belongs to (see kb-lint.js), e.g. 'schema'
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * @typedef {Object} ArticleIssue
+ * @property {number} index - Position of the article in the payload
+ * @property {*} id - Article id (undefined if missing)
+ * @property {string} title - Article title, or an empty string if missing
+ * @property {string} model - 'legacy' or 'enhanced'
+ * @property {string[]} messages - What is wrong with the article
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {number} total - Articles in the payload
+ * @property {number} validCount - Articles that passed
+ * @property {Array} invalid - ArticleIssue objects with the raw article attached, for quarantined articles
+ * @property {ArticleIssue[]} warnings - Problems that do not stop an article from being used
+ */
+
+/**
+ * Describe a problem with an article
+ * @param {string} rule - Lint rule the problem belongs to
+ * @param {string} message - What is wrong
+ * @returns {Issue} - The problem
+ */
+function issue(rule, message) {
+  return { rule, message };
+}
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a string with non-whitespace content
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check whether a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for an array whose items are all strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate the steps of one path and collect their effective ids
+ * @param {*} steps - The path's steps
+ * @param {string} label - Path name used in messages, e.g. 'step' or 'fallback "fb-1" step'
+ * @param {string} idPrefix - Prefix normalizeStep() uses for missing step ids
+ * @param {Issue[]} errors - Receives the problems found
+ * @param {string[]} stepIds - Receives the effective id of every well-formed step
+ */
+function validateSteps(steps, label, idPrefix, errors, stepIds) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(issue('empty-steps', `${label}s must be a non-empty array`));
+    return;
+  }
+
+  steps.forEach((step, index) => {
+    const name = `${label} ${index + 1}`;
+    if (typeof step === 'string') {
+      if (!isNonEmptyString(step)) {
+        errors.push(issue('empty-steps', `${name} is empty`));
+        return;
+      }
+    } else if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(issue('schema', `${name} must be a string or an object`));
+      return;
+    } else {
+      if (!isNonEmptyString(step.text)) {
+        errors.push(issue('empty-steps', `${name} is missing text`));
+      }
+      if (step.id !== undefined && !isNonEmptyString(step.id)) {
+        errors.push(issue('schema', `${name} has an invalid id`));
+        return;
+      }
+      if (step.type !== undefined && !STEP_TYPES.includes(step.type)) {
+        errors.push(issue('schema', `${name} has unknown type "${step.type}" (expected ${STEP_TYPES.join(' or ')})`));
+      }
+      ['expected', 'say_to_customer'].forEach(field => {
+        if (step[field] !== undefined && typeof step[field] !== 'string') {
+          errors.push(issue('schema', `${name} ${field} must be a string`));
+        }
+      });
+    }
+    stepIds.push(normalizeStep(step, idPrefix, index).id);
+  });
+}
+
+/**
+ * Validate the fallback paths of an article
+ * @param {*} fallbacks - The article's fallbacks
+ * @param {Issue[]} errors - Receives blocking problems
+ * @param {Issue[]} warnings - Receives non-blocking problems
+ * @param {string[]} stepIds - Receives the effective id of every fallback step
+ */
+function validateFallbacks(fallbacks, errors, warnings, stepIds) {
+  if (fallbacks === undefined) {
+    return;
+  }
+  if (!Array.isArray(fallbacks)) {
+    errors.push(issue('schema', 'fallbacks must be an array'));
+    return;
+  }
+
+  const fallbackIds = new Set();
+  fallbacks.forEach((fallback, index) => {
+    if (!fallback || typeof fallback !== 'object' || Array.isArray(fallback)) {
+      errors.push(issue('schema', `fallback ${index + 1} must be an object`));
+      return;
+    }
+    if (!isNonEmptyString(fallback.id)) {
+      errors.push(issue('schema', `fallback ${index + 1} is missing an id`));
+      return;
+    }
+
+    const name = `fallback "${fallback.id}"`;
+    if (fallbackIds.has(fallback.id)) {
+      errors.push(issue('orphan-fallback', `duplicate fallback id "${fallback.id}", so only the first fallback with it can be entered`));
+    }
+    fallbackIds.add(fallback.id);
+
+    if (!isNonEmptyString(fallback.reason_category)) {
+      errors.push(issue('schema', `${name} is missing reason_category`));
+    }
+    if (fallback.trigger_keywords === undefined) {
+      warnings.push(issue('missing-trigger-keywords', `${name} has no trigger_keywords, so it can only be chosen by reason category`));
+    } else if (!isStringArray(fallback.trigger_keywords)) {
+      errors.push(issue('schema', `${name} trigger_keywords must be an array of strings`));
+    }
+    if (!Array.isArray(fallback.steps) || fallback.steps.length === 0) {
+      errors.push(issue('orphan-fallback', `${name} has no steps, so it is never offered`));
+    } else {
+      validateSteps(fallback.steps, `${name} step`, `fb-${fallback.id}`, errors, stepIds);
+    }
+  });
+}
+
+/**
+ * Validate one article in the legacy or enhanced model
+ * @param {*} article - The article as found in the payload
+ * @returns {Object} - Object with model ('legacy' or 'enhanced'), errors and warnings (Issue arrays)
+ */
+function validateArticle(article) {
+  const errors = [];
+  const warnings = [];
+
+  if (!article || typeof article !== 'object' || Array.isArray(article)) {
+    return { model: 'enhanced', errors: [issue('schema', 'article must be an object')], warnings };
+  }
+  const model = isLegacyArticle(article) ? 'legacy' : 'enhanced';
+
+  if (!(typeof article.id === 'number' && Number.isFinite(article.id)) && !isNonEmptyString(article.id)) {
+    errors.push(issue('schema', 'missing id (expected a number or a non-empty string)'));
+  }
+  if (!isNonEmptyString(article.title)) {
+    errors.push(issue('schema', 'missing title'));
+  }
+
+  // Search fields: optional, but must have the right shape when present
+  ['tags', 'keywords', 'prechecks', 'stop_conditions'].forEach(field => {
+    if (article[field] !== undefined && !isStringArray(article[field])) {
+      errors.push(issue('schema', `${field} must be an array of strings`));
+    }
+  });
+  ['product', 'summary'].forEach(field => {
+    if (article[field] !== undefined && typeof article[field] !== 'string') {
+      errors.push(issue('schema', `${field} must be a string`));
+    }
+  });
+  if (article.version !== undefined && !['string', 'number'].includes(typeof article.version)) {
+    errors.push(issue('schema', 'version must be a string'));
+  }
+  if (article.tags === undefined && article.keywords === undefined) {
+    warnings.push(issue('missing-tags', 'no tags or keywords, so search relies on the title and content only'));
+  }
+
+  // Step ids must be unique across the main steps and every fallback, since outcomes are keyed by them
+  const stepIds = [];
+  validateSteps(article.steps, 'step', `step-${article.id}`, errors, stepIds);
+  validateFallbacks(article.fallbacks, errors, warnings, stepIds);
+  const seen = new Set();
+  stepIds.forEach(id => {
+    if (seen.has(id)) {
+      errors.push(issue('duplicate-step-id', `duplicate step id "${id}"`));
+    }
+    seen.add(id);
+  });
+
+  if (article.escalation === undefined || article.escalation === null) {
+    if (model === 'enhanced') {
+      warnings.push(issue('missing-escalation', 'no escalation, so agents are not told where to escalate'));
+    }
+  } else if (typeof article.escalation !== 'object' || Array.isArray(article.escalation)) {
+    errors.push(issue('schema', 'escalation must be an object with when and target'));
+  } else {
+    if (!isNonEmptyString(article.escalation.when)) {
+      errors.push(issue('schema', 'escalation is missing when'));
+    }
+    if (!isNonEmptyString(article.escalation.target)) {
+      errors.push(issue('schema', 'escalation is missing target'));
+    }
+  }
+
+  const unique = errors.filter((error, index) =>
+    errors.findIndex(other => other.message === error.message) === index);
+  return { model, errors: unique, warnings };
+}
+
+/**
+ * Validate every article of a KB payload. Articles with errors, and later
+ * articles reusing an id, are quarantined; the rest are returned for use.
+ * @param {Array} articles - Articles as found in the payload (legacy and/or enhanced)
+ * @returns {Object} - Object with articles (the valid ones, unchanged) and report (ValidationReport)
+ */
+function validateKB(articles) {
+  const valid = [];
+  const invalid = [];
+  const warnings = [];
+  // Keyed as strings so 1 and "1" count as the same id
+  const ids = new Set();
+
+  articles.forEach((article, index) => {
+    const result = validateArticle(article);
+    const isObject = article && typeof article === 'object';
+    const entry = {
+      index: index,
+      id: isObject ? article.id : undefined,
+      title: isObject && typeof article.title === 'string' ? article.title : '',
+      model: result.model
+    };
+
+    if (result.errors.length === 0 && ids.has(String(article.id))) {
+      result.errors.push(issue('duplicate-id', `duplicate article id ${JSON.stringify(article.id)}`));
+    }
+    if (result.errors.length > 0) {
+      invalid.push({ ...entry, messages: result.errors.map(error => error.message), article: article });
+      return;
+    }
+
+    ids.add(String(article.id));
+    valid.push(article);
+    if (result.warnings.length > 0) {
+      warnings.push({ ...entry, messages: result.warnings.map(warning => warning.message) });
+    }
+  });
+
+  return {
+    articles: valid,
+    report: { total: articles.length, validCount: valid.length, invalid, warnings }
+  };
+}
+
+export { validateArticle, validateKB };
@@ -1,6 +1,14 @@
 // Mock Knowledge Base Module
 // This module handles article storage and retrieval
 
+import {
+  DEFAULT_SYNONYM_GROUPS,
+  joinHyphenated,
+  buildSynonymMap,
+  maxTypoDistance,
+  editDistance
+} from './query-expansion.js';
+
 const knowledgeBase = [
   {
     id: 1,
@@ -82,6 +90,26 @@ const knowledgeBase = [
   }
 ];
 
+// Word -> synonyms, from the built-in dictionary
+const synonymMap = buildSynonymMap(DEFAULT_SYNONYM_GROUPS);
+
+/**
+ * Check whether a query word matches a keyword through a synonym or a typo
+ * @param {string} word - Query word
+ * @param {string} keyword - Article keyword (may be several words)
+ * @returns {boolean} - True if any word of the keyword is a synonym of the word or a typo away from it
+ */
+function matchesLoosely(word, keyword) {
+  const synonyms = synonymMap.get(word) || new Set();
+  const maxDistance = maxTypoDistance(word);
+
+  return keyword.split(/\s+/).some(keywordWord =>
+    synonyms.has(keywordWord) ||
+    (maxDistance > 0 && keywordWord[0] === word[0] && !/\d/.test(keywordWord) &&
+      editDistance(word, keywordWord, maxDistance) <= maxDistance)
+  );
+}
+
 /**
  * Search for the best matching article based on the user's issue
  * @param {string} query - The user's issue description
@@ -92,7 +120,7 @@ function findBestMatch(query) {
     return null;
   }
 
-  const queryLower = query.toLowerCase();
+  const queryLower = joinHyphenated(query.toLowerCase());
   const queryWords = queryLower.split(/\s+/);
   
   let bestMatch = null;
@@ -107,10 +135,12 @@ function findBestMatch(query) {
         score += 10; // Strong match for keyword
       }
       
-      // Check for partial word matches
+      // Check for partial word matches, then synonym and typo matches
       queryWords.forEach(word => {
         if (word.length > 3 && keyword.includes(word)) {
           score += 5;
+        } else if (!queryLower.includes(keyword) && matchesLoosely(word, keyword)) {
+          score += 5;
         }
       });
     });
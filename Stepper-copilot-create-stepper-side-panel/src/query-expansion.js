@@ -0,0 +1,213 @@
+// Query Expansion Module
+// Typo tolerance (edit distance) and the synonym dictionary shared by the KB matchers
+
+// Synonym groups that ship with the extension. Entries are single words;
+// hyphens are ignored, so "wi-fi" and "wifi" are the same entry.
+const DEFAULT_SYNONYM_GROUPS = [
+  ['email', 'mail', 'e-mail'],
+  ['laptop', 'pc', 'computer', 'notebook', 'desktop', 'workstation'],
+  ['wifi', 'wireless', 'wlan'],
+  ['ethernet', 'lan', 'wired'],
+  ['internet', 'online', 'web'],
+  ['password', 'passcode', 'pwd'],
+  ['login', 'log-in', 'signin', 'sign-in', 'logon'],
+  ['app', 'application', 'program', 'software'],
+  ['send', 'sent', 'deliver'],
+  ['slow', 'sluggish', 'laggy', 'lag'],
+  ['restart', 'reboot'],
+  ['crash', 'freeze', 'hang'],
+  ['printer', 'print', 'printing'],
+  ['broken', 'faulty', 'failing'],
+  ['gmail', 'googlemail']
+];
+
+// Score multiplier for a match through a synonym rather than the word itself
+const SYNONYM_WEIGHT = 0.8;
+
+// Score lost per edit when a word only matches after typo correction
+const TYPO_PENALTY_PER_EDIT = 0.3;
+
+/**
+ * Join hyphenated words, so "wi-fi" reads as "wifi"
+ * @param {string} text - Lowercased text
+ * @returns {string} - Text with hyphens between letters or digits removed
+ */
+function joinHyphenated(text) {
+  return text.replace(/([a-z0-9])-(?=[a-z0-9])/g, '$1');
+}
+
+/**
+ * Normalize a dictionary entry or query word to its plain lowercase form
+ * @param {string} word - Word as typed
+ * @returns {string} - Lowercase letters and digits only
+ */
+function normalizeWord(word) {
+  return String(word).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Keep only well-formed synonym groups (arrays of at least two non-empty strings)
+ * @param {*} groups - Synonym groups from an untrusted source such as a KB payload
+ * @returns {Array<string[]>} - Valid groups
+ */
+function sanitizeSynonymGroups(groups) {
+  if (!Array.isArray(groups)) {
+    return [];
+  }
+  return groups
+    .filter(Array.isArray)
+    .map(group => group.filter(word => typeof word === 'string' && normalizeWord(word) !== ''))
+    .filter(group => group.length >= 2);
+}
+
+/**
+ * Parse synonym groups from text with one group per line, words separated by commas
+ * @param {string} text - e.g. "laptop, pc\nmail, email"
+ * @returns {Array<string[]>} - Synonym groups
+ */
+function parseSynonymGroups(text) {
+  return sanitizeSynonymGroups((text || '')
+    .split('\n')
+    .map(line => line.split(',').map(word => word.trim()).filter(Boolean)));
+}
+
+/**
+ * Format synonym groups as text with one group per line
+ * @param {Array<string[]>} groups - Synonym groups
+ * @returns {string} - Text accepted by parseSynonymGroups()
+ */
+function formatSynonymGroups(groups) {
+  return groups.map(group => group.join(', ')).join('\n');
+}
+
+/**
+ * Build a lookup from each word to its synonyms.
+ * Groups are not merged transitively: a word shared by two groups is a synonym
+ * of both, but the other members of the two groups are not synonyms of each other.
+ * @param {Array<string[]>} groups - Synonym groups
+ * @param {Function} [toTerm] - Maps a normalized word to the term used as key (e.g. a stemmer)
+ * @returns {Map<string, Set<string>>} - Term -> synonym terms
+ */
+function buildSynonymMap(groups, toTerm = word => word) {
+  const synonymMap = new Map();
+
+  groups.forEach(group => {
+    const terms = [...new Set(group.map(normalizeWord).filter(Boolean).map(toTerm))];
+    terms.forEach(term => {
+      if (!synonymMap.has(term)) {
+        synonymMap.set(term, new Set());
+      }
+      terms.forEach(other => {
+        if (other !== term) {
+          synonymMap.get(term).add(other);
+        }
+      });
+    });
+  });
+
+  return synonymMap;
+}
+
+/**
+ * Number of typos tolerated in a word, growing with its length.
+ * Words with digits (versions, error codes) must match exactly.
+ * @param {string} word - Query word
+ * @returns {number} - Maximum edit distance
+ */
+function maxTypoDistance(word) {
+  if (word.length < 3 || /\d/.test(word)) {
+    return 0;
+  }
+  return word.length >= 8 ? 2 : 1;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters ("outlok" -> "outlook" is 1, "pritner" -> "printer" is 1)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} [maxDistance] - Stop early once the distance is known to exceed this
+ * @returns {number} - The distance, or maxDistance + 1 if it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], maxDistance + 1);
+}
+
+/**
+ * Find the words of a vocabulary a query word may be a typo of.
+ * Candidates must start with the same letter, which rules out most false
+ * corrections and keeps the scan cheap.
+ * @param {string} word - Query word (not found in the vocabulary as typed)
+ * @param {Iterable<string>} vocabulary - Known words
+ * @returns {Array} - Objects with word and distance, closest first
+ */
+function findTypoMatches(word, vocabulary) {
+  const maxDistance = maxTypoDistance(word);
+  if (maxDistance === 0) {
+    return [];
+  }
+
+  const matches = [];
+  for (const candidate of vocabulary) {
+    if (candidate[0] !== word[0] || candidate === word || /\d/.test(candidate)) {
+      continue;
+    }
+    const distance = editDistance(word, candidate, maxDistance);
+    if (distance <= maxDistance) {
+      matches.push({ word: candidate, distance });
+    }
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Score multiplier for a typo-corrected match
+ * @param {number} distance - Edit distance of the correction
+ * @returns {number} - Multiplier between 0 and 1
+ */
+function typoWeight(distance) {
+  return Math.max(0, 1 - TYPO_PENALTY_PER_EDIT * distance);
+}
+
+export {
+  DEFAULT_SYNONYM_GROUPS,
+  SYNONYM_WEIGHT,
+  joinHyphenated,
+  sanitizeSynonymGroups,
+  parseSynonymGroups,
+  formatSynonymGroups,
+  buildSynonymMap,
+  maxTypoDistance,
+  editDistance,
+  findTypoMatches,
+  typoWeight
+};
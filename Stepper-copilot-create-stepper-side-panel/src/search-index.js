@@ -0,0 +1,402 @@
+// Search Index Module
+// Inverted index with BM25 scoring over every field of the enhanced article model
+
+import {
+  DEFAULT_SYNONYM_GROUPS,
+  SYNONYM_WEIGHT,
+  buildSynonymMap,
+  findTypoMatches,
+  typoWeight
+} from './query-expansion.js';
+
+// Common English words that carry no meaning for matching
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for',
+  'from', 'get', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'just', 'me', 'my', 'of', 'on', 'or', 'our', 'she',
+  'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'to', 'too', 'up', 'us', 'was', 'we', 'were', 'what', 'when',
+  'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// How much a term match in each field counts towards the score
+const DEFAULT_FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  keywords: 2.5,
+  product: 1.5,
+  summary: 1.5,
+  steps: 1,
+  prechecks: 0.8,
+  fallbacks: 0.8,
+  stop_conditions: 0.5
+};
+
+// BM25 parameters: term-frequency saturation and field-length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Reduce a word to its stem with a light suffix-stripping stemmer,
+ * so "sending", "sends" and "sent" style variants share an index entry
+ * @param {string} word - Lowercased word
+ * @returns {string} - The stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  let stemmed = word;
+  if (stemmed.endsWith('ies') && stemmed.length > 4) {
+    stemmed = stemmed.slice(0, -3) + 'y';
+  } else if (stemmed.endsWith('sses') || /(sh|ch|x|z)es$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('s') && !stemmed.endsWith('ss') && !stemmed.endsWith('us')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed', 'ly', 'ment']) {
+    if (stemmed.endsWith(suffix) && stemmed.length - suffix.length >= 3) {
+      stemmed = stemmed.slice(0, -suffix.length);
+      // "running" -> "runn" -> "run"
+      if (/([^aeiouls])\1$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1);
+      }
+      break;
+    }
+  }
+
+  return stemmed;
+}
+
+/**
+ * Split text into lowercase words, without stop words.
+ * Hyphenated words give their parts and the joined word ("wi-fi" -> wi, fi, wifi).
+ * @param {string} text - Text to split
+ * @returns {string[]} - Words in their original (lowercased) form
+ */
+function tokenizeWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .flatMap(chunk => {
+      const parts = chunk.split('-').filter(Boolean);
+      return parts.length > 1 ? [...parts, parts.join('')] : parts;
+    })
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Split text into stemmed index terms
+ * @param {string} text - Text to split
+ * @returns {string[]} - Stemmed terms
+ */
+function tokenize(text) {
+  return tokenizeWords(text).map(stem);
+}
+
+/**
+ * Flatten step objects into searchable text
+ * @param {Array} steps - Step objects
+ * @returns {string} - Text, expected outcome and customer script of every step
+ */
+function stepsText(steps) {
+  return (steps || [])
+    .map(step => [step.text, step.expected, step.say_to_customer].filter(Boolean).join(' '))
+    .join(' ');
+}
+
+/**
+ * Get the searchable text of each field of an article
+ * @param {Object} article - Article in the enhanced model
+ * @returns {Object} - Field name -> text
+ */
+function extractFields(article) {
+  const keywords = Array.isArray(article.keywords) ? article.keywords : [];
+  // Legacy articles have their keywords copied into tags; count them once
+  const tags = (article.tags || []).filter(tag => !keywords.includes(tag));
+
+  return {
+    title: article.title || '',
+    tags: tags.join(' '),
+    keywords: keywords.join(' '),
+    product: [article.product, article.version].filter(Boolean).join(' '),
+    summary: article.summary || '',
+    steps: stepsText(article.steps),
+    prechecks: (article.prechecks || []).join(' '),
+    fallbacks: (article.fallbacks || []).map(fallback => [
+      (fallback.trigger_keywords || []).join(' '),
+      (fallback.reason_category || '').replace(/_/g, ' '),
+      stepsText(fallback.steps)
+    ].join(' ')).join(' '),
+    stop_conditions: (article.stop_conditions || []).join(' ')
+  };
+}
+
+class SearchIndex {
+  /**
+   * @param {Object} [fieldWeights] - Field name -> weight, merged over DEFAULT_FIELD_WEIGHTS
+   * @param {Array<string[]>} [synonymGroups] - Synonym groups used to expand queries
+   */
+  constructor(fieldWeights = {}, synonymGroups = DEFAULT_SYNONYM_GROUPS) {
+    this.fieldWeights = { ...DEFAULT_FIELD_WEIGHTS, ...fieldWeights };
+    // Article id -> { article, hash, fieldLengths, termFreqs: Map(term -> { field: count }) }
+    this.docs = new Map();
+    // Term -> Set of article ids containing it
+    this.postings = new Map();
+    // Term -> a word as it appears in the articles, to explain synonym and typo matches
+    this.surfaceForms = new Map();
+    // Field -> total number of terms in that field across all articles
+    this.fieldLengthTotals = {};
+    this.setSynonyms(synonymGroups);
+  }
+
+  /**
+   * Change the field weights; they apply at query time, so no rebuild is needed
+   * @param {Object} fieldWeights - Field name -> weight
+   */
+  setFieldWeights(fieldWeights) {
+    this.fieldWeights = { ...DEFAULT_FIELD_WEIGHTS, ...fieldWeights };
+  }
+
+  /**
+   * Replace the synonym groups; like field weights they apply at query time
+   * @param {Array<string[]>} synonymGroups - Synonym groups
+   */
+  setSynonyms(synonymGroups) {
+    this.synonyms = buildSynonymMap(synonymGroups, stem);
+  }
+
+  /**
+   * Bring the index in line with a KB, only re-indexing articles that were added,
+   * changed or removed since the last update
+   * @param {Array} articles - Articles in the enhanced model
+   * @returns {Object} - Counts of added, updated and removed articles
+   */
+  update(articles) {
+    const stats = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    articles.forEach(article => {
+      seen.add(article.id);
+      const hash = JSON.stringify(article);
+      const existing = this.docs.get(article.id);
+
+      if (existing && existing.hash === hash) {
+        // Content unchanged, but keep the newest object so results hand it out
+        existing.article = article;
+        return;
+      }
+      if (existing) {
+        this.remove(article.id);
+        stats.updated++;
+      } else {
+        stats.added++;
+      }
+      this.add(article, hash);
+    });
+
+    [...this.docs.keys()].forEach(id => {
+      if (!seen.has(id)) {
+        this.remove(id);
+        stats.removed++;
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * Add one article to the index
+   * @param {Object} article - Article in the enhanced model
+   * @param {string} [hash] - Content hash, computed if not given
+   */
+  add(article, hash = JSON.stringify(article)) {
+    const fields = extractFields(article);
+    const fieldLengths = {};
+    const termFreqs = new Map();
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const words = tokenizeWords(text);
+      fieldLengths[field] = words.length;
+      this.fieldLengthTotals[field] = (this.fieldLengthTotals[field] || 0) + words.length;
+
+      words.forEach(word => {
+        const term = stem(word);
+        if (!this.surfaceForms.has(term)) {
+          this.surfaceForms.set(term, word);
+        }
+        if (!termFreqs.has(term)) {
+          termFreqs.set(term, {});
+        }
+        const freqs = termFreqs.get(term);
+        freqs[field] = (freqs[field] || 0) + 1;
+      });
+    });
+
+    termFreqs.forEach((freqs, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(article.id);
+    });
+
+    this.docs.set(article.id, { article, hash, fieldLengths, termFreqs });
+  }
+
+  /**
+   * Remove one article from the index
+   * @param {*} id - Article id
+   */
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) {
+      return;
+    }
+
+    Object.entries(doc.fieldLengths).forEach(([field, length]) => {
+      this.fieldLengthTotals[field] -= length;
+    });
+    doc.termFreqs.forEach((freqs, term) => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+        this.surfaceForms.delete(term);
+      }
+    });
+    this.docs.delete(id);
+  }
+
+  /**
+   * Number of indexed articles
+   * @returns {number} - Article count
+   */
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Work out which index terms a query word can match and how much each match counts:
+   * the word itself, or its closest typo corrections when it is not indexed,
+   * plus the synonyms of either
+   * @param {string} word - Query word
+   * @returns {Map<string, number>} - Index term -> score multiplier
+   */
+  expandWord(word) {
+    const candidates = new Map();
+    const addCandidate = (term, weight) => {
+      if (this.postings.has(term) && weight > (candidates.get(term) || 0)) {
+        candidates.set(term, weight);
+      }
+    };
+
+    const term = stem(word);
+    let baseTerms = [{ term, weight: 1 }];
+    if (!this.postings.has(term)) {
+      const typoMatches = findTypoMatches(term, this.postings.keys());
+      // Only the closest corrections: "outlok" should not also match every word one edit further away
+      const bestDistance = typoMatches.length > 0 ? typoMatches[0].distance : 0;
+      baseTerms = baseTerms.concat(typoMatches
+        .filter(match => match.distance === bestDistance)
+        .map(match => ({ term: match.word, weight: typoWeight(match.distance) })));
+    }
+
+    baseTerms.forEach(base => {
+      addCandidate(base.term, base.weight);
+      (this.synonyms.get(base.term) || []).forEach(synonym => addCandidate(synonym, base.weight * SYNONYM_WEIGHT));
+    });
+
+    return candidates;
+  }
+
+  /**
+   * BM25 contribution of one term to an article, per field
+   * @param {Object} doc - Indexed article
+   * @param {string} term - Index term
+   * @param {number} idf - Inverse document frequency of the term
+   * @returns {Object} - Field -> weighted score
+   */
+  scoreTerm(doc, term, idf) {
+    const docCount = this.docs.size;
+    const fieldScores = {};
+
+    Object.entries(doc.termFreqs.get(term)).forEach(([field, tf]) => {
+      const weight = this.fieldWeights[field] || 0;
+      if (weight === 0) {
+        return;
+      }
+      const avgLength = this.fieldLengthTotals[field] / docCount || 1;
+      const norm = 1 - BM25_B + BM25_B * (doc.fieldLengths[field] / avgLength);
+      fieldScores[field] = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+    });
+
+    return fieldScores;
+  }
+
+  /**
+   * Score articles against a query with BM25 summed over weighted fields.
+   * Each query word counts once per article, through whichever of its exact,
+   * typo-corrected or synonym terms scores best there.
+   * @param {string} query - Free-text query
+   * @param {Object} [options] - Search options
+   * @param {Array} [options.excludeIds] - Article ids to leave out
+   * @returns {Array} - Objects with article, score and matchedTerms (field -> words), best first.
+   *   matchedTerms holds the query word for exact matches and the article's own word
+   *   for typo and synonym matches, so it can be highlighted in the article text.
+   */
+  search(query, options = {}) {
+    const excludeIds = options.excludeIds || [];
+    const docCount = this.docs.size;
+    if (docCount === 0) {
+      return [];
+    }
+
+    const results = new Map();
+    [...new Set(tokenizeWords(query))].forEach(word => {
+      // Article id -> best match of this word: { score, fieldScores, label }
+      const bestMatches = new Map();
+
+      this.expandWord(word).forEach((weight, term) => {
+        const ids = this.postings.get(term);
+        const idf = Math.log(1 + (docCount - ids.size + 0.5) / (ids.size + 0.5));
+        const label = term === stem(word) ? word : this.surfaceForms.get(term);
+
+        ids.forEach(id => {
+          if (excludeIds.includes(id)) {
+            return;
+          }
+          const fieldScores = this.scoreTerm(this.docs.get(id), term, idf);
+          let score = 0;
+          Object.keys(fieldScores).forEach(field => {
+            fieldScores[field] *= weight;
+            score += fieldScores[field];
+          });
+          if (score > 0 && score > (bestMatches.has(id) ? bestMatches.get(id).score : 0)) {
+            bestMatches.set(id, { score, fieldScores, label });
+          }
+        });
+      });
+
+      bestMatches.forEach((match, id) => {
+        if (!results.has(id)) {
+          results.set(id, { article: this.docs.get(id).article, score: 0, matchedTerms: {} });
+        }
+        const result = results.get(id);
+        result.score += match.score;
+        Object.keys(match.fieldScores).forEach(field => {
+          const words = result.matchedTerms[field] || [];
+          if (!words.includes(match.label)) {
+            result.matchedTerms[field] = [...words, match.label];
+          }
+        });
+      });
+    });
+
+    return [...results.values()].sort((a, b) => b.score - a.score);
+  }
+}
+
+export { SearchIndex, DEFAULT_FIELD_WEIGHTS, STOP_WORDS, stem, tokenize, tokenizeWords, extractFields };
@@ -0,0 +1,184 @@
+// Session Store Module
+// Saves each open case's troubleshooting session so it survives the side panel closing
+// Cases are kept in chrome.storage.local, one key per case, and expire after a configurable time
+
+// Storage keys
+const STORAGE_KEY_CASE_IDS = 'session_case_ids';
+const STORAGE_KEY_ACTIVE_CASE = 'active_case_id';
+const STORAGE_KEY_EXPIRY = 'session_expiry_minutes';
+const CASE_KEY_PREFIX = 'case_session:';
+// Single-session key used before cases existed; migrated on first load
+const LEGACY_STORAGE_KEY_SESSION = 'active_session';
+
+// Sessions older than this are discarded instead of offered for resume
+const DEFAULT_SESSION_EXPIRY_MINUTES = 240;
+
+/**
+ * @typedef {Object} SavedCase
+ * @property {string} caseId - Case or ticket id the session belongs to
+ * @property {Object|null} state - StepManager state from getState(), null before an article is chosen
+ * @property {string} view - Where the agent was: 'overview', 'prechecks', 'steps' or 'escalation'
+ * @property {number} savedAt - Timestamp of the last save
+ */
+
+/**
+ * Storage key of one case
+ * @param {string} caseId - Case id
+ * @returns {string} - Storage key
+ */
+function caseKey(caseId) {
+  return `${CASE_KEY_PREFIX}${caseId}`;
+}
+
+/**
+ * Read the ordered list of case ids
+ * @returns {Promise<string[]>} - Case ids
+ */
+async function getCaseIds() {
+  const result = await chrome.storage.local.get([STORAGE_KEY_CASE_IDS]);
+  return Array.isArray(result[STORAGE_KEY_CASE_IDS]) ? result[STORAGE_KEY_CASE_IDS] : [];
+}
+
+/**
+ * Move a session saved by the single-session version into a case
+ * @param {string[]} caseIds - Current case ids
+ * @returns {Promise<string[]>} - Case ids, including the migrated case
+ */
+async function migrateLegacySession(caseIds) {
+  const result = await chrome.storage.local.get([LEGACY_STORAGE_KEY_SESSION]);
+  const legacy = result[LEGACY_STORAGE_KEY_SESSION];
+  if (!legacy) {
+    return caseIds;
+  }
+
+  let caseId = 'Case 1';
+  for (let n = 2; caseIds.includes(caseId); n++) {
+    caseId = `Case ${n}`;
+  }
+  const ids = [...caseIds, caseId];
+  await chrome.storage.local.set({
+    [caseKey(caseId)]: { caseId, state: legacy.state, view: legacy.view, savedAt: legacy.savedAt },
+    [STORAGE_KEY_CASE_IDS]: ids
+  });
+  await chrome.storage.local.remove([LEGACY_STORAGE_KEY_SESSION]);
+  return ids;
+}
+
+/**
+ * Load every open case, discarding those that have expired
+ * @returns {Promise<Object>} - Object with cases (SavedCase[], in the order they were opened)
+ *   and activeCaseId (null if none was saved or it expired)
+ */
+async function loadCases() {
+  try {
+    const caseIds = await migrateLegacySession(await getCaseIds());
+    const keys = caseIds.map(caseKey);
+    const result = await chrome.storage.local.get([...keys, STORAGE_KEY_ACTIVE_CASE]);
+    const maxAge = (await getSessionExpiryMinutes()) * 60 * 1000;
+
+    const cases = [];
+    const expired = [];
+    caseIds.forEach(caseId => {
+      const saved = result[caseKey(caseId)];
+      if (saved && Date.now() - saved.savedAt <= maxAge) {
+        cases.push(saved);
+      } else {
+        expired.push(caseId);
+      }
+    });
+
+    if (expired.length > 0) {
+      await chrome.storage.local.remove(expired.map(caseKey));
+      await chrome.storage.local.set({ [STORAGE_KEY_CASE_IDS]: cases.map(saved => saved.caseId) });
+    }
+
+    const activeCaseId = cases.some(saved => saved.caseId === result[STORAGE_KEY_ACTIVE_CASE])
+      ? result[STORAGE_KEY_ACTIVE_CASE]
+      : null;
+    return { cases, activeCaseId };
+  } catch (error) {
+    console.error('Failed to load cases:', error);
+    return { cases: [], activeCaseId: null };
+  }
+}
+
+/**
+ * Save a case's session, adding the case to the list if it is new
+ * @param {string} caseId - Case id
+ * @param {Object|null} state - StepManager state from getState(), null if no article is chosen
+ * @param {string} [view] - The view to resume on
+ */
+async function saveCase(caseId, state, view = 'steps') {
+  try {
+    const caseIds = await getCaseIds();
+    const update = { [caseKey(caseId)]: { caseId, state, view, savedAt: Date.now() } };
+    if (!caseIds.includes(caseId)) {
+      update[STORAGE_KEY_CASE_IDS] = [...caseIds, caseId];
+    }
+    await chrome.storage.local.set(update);
+  } catch (error) {
+    console.error('Failed to save case session:', error);
+  }
+}
+
+/**
+ * Close a case and remove its saved session
+ * @param {string} caseId - Case id
+ */
+async function removeCase(caseId) {
+  try {
+    const caseIds = await getCaseIds();
+    await chrome.storage.local.remove([caseKey(caseId)]);
+    await chrome.storage.local.set({ [STORAGE_KEY_CASE_IDS]: caseIds.filter(id => id !== caseId) });
+  } catch (error) {
+    console.error('Failed to remove case:', error);
+  }
+}
+
+/**
+ * Remember which case the agent is working on
+ * @param {string} caseId - Case id
+ */
+async function setActiveCaseId(caseId) {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEY_ACTIVE_CASE]: caseId });
+  } catch (error) {
+    console.error('Failed to save active case:', error);
+  }
+}
+
+/**
+ * Get how long a saved session stays resumable
+ * @returns {Promise<number>} - Expiry in minutes
+ */
+async function getSessionExpiryMinutes() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY_EXPIRY]);
+    const minutes = Number(result[STORAGE_KEY_EXPIRY]);
+    return minutes > 0 ? minutes : DEFAULT_SESSION_EXPIRY_MINUTES;
+  } catch (error) {
+    console.warn('Failed to load session expiry from storage:', error);
+    return DEFAULT_SESSION_EXPIRY_MINUTES;
+  }
+}
+
+/**
+ * Set how long a saved session stays resumable
+ * @param {number} minutes - Expiry in minutes (must be positive)
+ */
+async function setSessionExpiryMinutes(minutes) {
+  if (!(minutes > 0)) {
+    throw new Error('Session expiry must be a positive number of minutes');
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY_EXPIRY]: minutes });
+}
+
+export {
+  DEFAULT_SESSION_EXPIRY_MINUTES,
+  loadCases,
+  saveCase,
+  removeCase,
+  setActiveCaseId,
+  getSessionExpiryMinutes,
+  setSessionExpiryMinutes
+};
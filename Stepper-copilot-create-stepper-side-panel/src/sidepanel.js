@@ -1,9 +1,21 @@
 // UI Module - Main controller for the Stepper side panel
-import { findBestMatch } from './kb-loader.js';
-import { StepManager } from './stepper.js';
+import {
+  search, findBestMatch, getFacets, detectQueryFacets, getArticleById, getKBVersion,
+  refreshKB, reloadCachedKB, getKBStatus, addKBStatusListener, KBUnavailableError
+} from './kb-loader.js';
+import { KB_UPDATED_MESSAGE } from './kb-sync.js';
+import { KBAuthError } from './kb-auth.js';
+import { StepManager, MAIN_PATH } from './stepper.js';
+import { loadCases, saveCase, removeCase, setActiveCaseId } from './session-store.js';
+import { getActiveTabCaseId } from './case-id.js';
+import { buildHandoffPacket, formatHandoffText, formatHandoffMarkdown, formatHandoffJSON } from './handoff.js';
+import { buildSessionTranscript, formatTranscriptText, formatTranscriptMarkdown } from './transcript.js';
+import { formatArticleMarkdown, formatArticleHTML, exportFilename, downloadFile } from './export.js';
+import { buildFeedbackPayload, sendFeedback } from './feedback.js';
+import { EVENT_TYPES, logEvent } from './analytics.js';
 
-// Initialize step manager
-const stepManager = new StepManager();
+// Step manager of the active case; swapped when the agent switches cases
+let stepManager = new StepManager();
 
 // Initialize theme
 async function initTheme() {
@@ -42,48 +54,653 @@ async function initTheme() {
 // Initialize theme on load
 initTheme();
 
+// Storage key for the step view preference ('agent' or 'customer')
+const STEP_VIEW_STORAGE_KEY = 'stepViewMode';
+let stepViewMode = 'agent';
+
+// Restore the step view the agent used last
+async function initStepViewMode() {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+  try {
+    const result = await chrome.storage.local.get([STEP_VIEW_STORAGE_KEY]);
+    if (result[STEP_VIEW_STORAGE_KEY] === 'customer') {
+      stepViewMode = 'customer';
+    }
+  } catch (error) {
+    console.warn('Chrome storage not available for step view persistence');
+  }
+}
+
+initStepViewMode();
+
 // Get DOM elements
 const searchSection = document.getElementById('searchSection');
 const noResultsSection = document.getElementById('noResultsSection');
+const resultsSection = document.getElementById('resultsSection');
 const solutionSection = document.getElementById('solutionSection');
+const precheckSection = document.getElementById('precheckSection');
 const stepSection = document.getElementById('stepSection');
 const fullArticleSection = document.getElementById('fullArticleSection');
+const fallbackSection = document.getElementById('fallbackSection');
+const escalationSection = document.getElementById('escalationSection');
+const resolvedSection = document.getElementById('resolvedSection');
 const feedbackSection = document.getElementById('feedbackSection');
 const feedbackSuccessSection = document.getElementById('feedbackSuccessSection');
 
+const newCaseForm = document.getElementById('newCaseForm');
+const kbIndicator = document.getElementById('kbIndicator');
+const kbIndicatorText = document.getElementById('kbIndicatorText');
+const kbIndicatorDetails = document.getElementById('kbIndicatorDetails');
+const mockKBWarning = document.getElementById('mockKBWarning');
+const mockKBWarningTitle = document.getElementById('mockKBWarningTitle');
+const mockKBWarningText = document.getElementById('mockKBWarningText');
+const mockKBSettingsBtn = document.getElementById('mockKBSettingsBtn');
+const kbStatusBanner = document.getElementById('kbStatusBanner');
+const kbStatusText = document.getElementById('kbStatusText');
+const kbRefreshBtn = document.getElementById('kbRefreshBtn');
+const kbSettingsBtn = document.getElementById('kbSettingsBtn');
+const resumeBanner = document.getElementById('resumeBanner');
+const resumeBtn = document.getElementById('resumeBtn');
+const discardSessionBtn = document.getElementById('discardSessionBtn');
 const issueInput = document.getElementById('issueInput');
+const productFilter = document.getElementById('productFilter');
+const versionFilter = document.getElementById('versionFilter');
+const facetHint = document.getElementById('facetHint');
 const searchBtn = document.getElementById('searchBtn');
 const tryAgainBtn = document.getElementById('tryAgainBtn');
 const startBtn = document.getElementById('startBtn');
 const backToSearchBtn = document.getElementById('backToSearchBtn');
+const backToResultsBtn = document.getElementById('backToResultsBtn');
+const resultsBackBtn = document.getElementById('resultsBackBtn');
+const startStepsBtn = document.getElementById('startStepsBtn');
+const alternativeArticleBtn = document.getElementById('alternativeArticleBtn');
+const precheckEscalateBtn = document.getElementById('precheckEscalateBtn');
+const precheckBackBtn = document.getElementById('precheckBackBtn');
 const continueBtn = document.getElementById('continueBtn');
 const backBtn = document.getElementById('backBtn');
+const resolvedBtn = document.getElementById('resolvedBtn');
+const stopConditionPanel = document.getElementById('stopConditionPanel');
 const didntWorkBtn = document.getElementById('didntWorkBtn');
 const fullArticleBtn = document.getElementById('fullArticleBtn');
 const resetBtn = document.getElementById('resetBtn');
+const agentViewBtn = document.getElementById('agentViewBtn');
+const customerViewBtn = document.getElementById('customerViewBtn');
+const copyScriptBtn = document.getElementById('copyScriptBtn');
+const outcomeYesBtn = document.getElementById('outcomeYesBtn');
+const outcomeNoBtn = document.getElementById('outcomeNoBtn');
+const earlyExitBox = document.getElementById('earlyExitBox');
+const earlyExitResolveBtn = document.getElementById('earlyExitResolveBtn');
+const earlyExitContinueBtn = document.getElementById('earlyExitContinueBtn');
+const escalateBtn = document.getElementById('escalateBtn');
+const notesInput = document.getElementById('notesInput');
+const escalationNotes = document.getElementById('escalationNotes');
+const copyHandoffBtn = document.getElementById('copyHandoffBtn');
+const copyTranscriptBtn = document.getElementById('copyTranscriptBtn');
+const downloadTranscriptBtn = document.getElementById('downloadTranscriptBtn');
+const downloadEscalationTranscriptBtn = document.getElementById('downloadEscalationTranscriptBtn');
+const exportArticleMarkdownBtn = document.getElementById('exportArticleMarkdownBtn');
+const exportArticleHTMLBtn = document.getElementById('exportArticleHTMLBtn');
 const backToStepsBtn = document.getElementById('backToStepsBtn');
 const closeArticleBtn = document.getElementById('closeArticleBtn');
+const fallbackReasonInput = document.getElementById('fallbackReasonInput');
+const matchFallbackBtn = document.getElementById('matchFallbackBtn');
+const fallbackFeedbackBtn = document.getElementById('fallbackFeedbackBtn');
+const cancelFallbackBtn = document.getElementById('cancelFallbackBtn');
+const escalationNewSearchBtn = document.getElementById('escalationNewSearchBtn');
+const resolvedNewSearchBtn = document.getElementById('resolvedNewSearchBtn');
 const submitFeedbackBtn = document.getElementById('submitFeedbackBtn');
 const cancelFeedbackBtn = document.getElementById('cancelFeedbackBtn');
 const continueFeedbackBtn = document.getElementById('continueFeedbackBtn');
 const newSearchBtn = document.getElementById('newSearchBtn');
 
 // Section visibility management
+let currentSection = searchSection;
+
 function showSection(section) {
   hideAllSections();
   section.classList.remove('hidden');
+  currentSection = section;
+  saveActiveSession(section);
 }
 
 function hideAllSections() {
   searchSection.classList.add('hidden');
   noResultsSection.classList.add('hidden');
+  resultsSection.classList.add('hidden');
   solutionSection.classList.add('hidden');
+  precheckSection.classList.add('hidden');
   stepSection.classList.add('hidden');
   fullArticleSection.classList.add('hidden');
+  fallbackSection.classList.add('hidden');
+  escalationSection.classList.add('hidden');
+  resolvedSection.classList.add('hidden');
   feedbackSection.classList.add('hidden');
   feedbackSuccessSection.classList.add('hidden');
 }
 
+// Open cases: case id -> { caseId, stepManager, lastResults, lastQuery, issueText, section, savedSession }.
+// The active case's values live in the module variables while it is shown.
+const cases = new Map();
+let activeCaseId = null;
+
+// Session saved for the active case when the panel was last closed, offered for resume
+let savedSession = null;
+
+// Add a case with its own step manager
+function createCase(caseId, saved = null) {
+  cases.set(caseId, {
+    caseId,
+    stepManager: new StepManager(),
+    lastResults: [],
+    lastQuery: '',
+    issueText: '',
+    section: searchSection,
+    savedSession: saved && saved.state ? saved : null
+  });
+}
+
+// Keep the active case's panel state in its case record
+function stashActiveCase() {
+  const activeCase = cases.get(activeCaseId);
+  if (!activeCase) {
+    return;
+  }
+  activeCase.lastResults = lastResults;
+  activeCase.lastQuery = lastQuery;
+  activeCase.issueText = issueInput.value;
+  activeCase.section = currentSection;
+  activeCase.savedSession = savedSession;
+}
+
+// Make a case the active one and show it where the agent left it
+function activateCase(caseId) {
+  const activeCase = cases.get(caseId);
+  activeCaseId = caseId;
+  stepManager = activeCase.stepManager;
+  lastResults = activeCase.lastResults;
+  lastQuery = activeCase.lastQuery;
+  savedSession = activeCase.savedSession;
+  alternativeArticle = null;
+  issueInput.value = activeCase.issueText;
+  
+  renderCaseTabs();
+  restoreCaseView(activeCase.section);
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    setActiveCaseId(caseId);
+  }
+}
+
+// Switch to another open case
+function switchCase(caseId) {
+  if (caseId === activeCaseId || !cases.has(caseId)) {
+    return;
+  }
+  stashActiveCase();
+  activateCase(caseId);
+}
+
+// Re-render the section a case was on; the DOM is shared, so its content is rebuilt
+function restoreCaseView(section) {
+  if (!stepManager.hasArticle()) {
+    if (section === resultsSection && lastResults.length > 0) {
+      displaySearchResults();
+    } else {
+      showSection(section === noResultsSection ? noResultsSection : searchSection);
+      showResumeBanner();
+    }
+    return;
+  }
+
+  if (section === solutionSection) {
+    displaySolutionOverview();
+  } else if (section === resultsSection) {
+    displaySearchResults();
+  } else if (section === precheckSection) {
+    displayPrechecks();
+  } else if (section === escalationSection) {
+    displayEscalation();
+  } else if (section === resolvedSection) {
+    displayResolution();
+  } else {
+    displayCurrentStep();
+  }
+}
+
+// Show one tab per open case
+function renderCaseTabs() {
+  const container = document.getElementById('caseTabs');
+  container.replaceChildren();
+  
+  cases.forEach(caseRecord => {
+    const tab = document.createElement('div');
+    tab.className = 'case-tab';
+    tab.classList.toggle('active', caseRecord.caseId === activeCaseId);
+    
+    const article = caseRecord.caseId === activeCaseId ? stepManager.getArticle() : caseRecord.stepManager.getArticle();
+    const label = document.createElement('button');
+    label.className = 'case-tab-label';
+    label.setAttribute('role', 'tab');
+    label.setAttribute('aria-selected', String(caseRecord.caseId === activeCaseId));
+    label.textContent = caseRecord.caseId;
+    label.title = article ? `${caseRecord.caseId}: ${article.title}` : caseRecord.caseId;
+    label.addEventListener('click', () => switchCase(caseRecord.caseId));
+    tab.appendChild(label);
+    
+    const close = document.createElement('button');
+    close.className = 'case-tab-close';
+    close.textContent = '×';
+    close.title = `Close ${caseRecord.caseId}`;
+    close.addEventListener('click', () => closeCase(caseRecord.caseId));
+    tab.appendChild(close);
+    
+    container.appendChild(tab);
+  });
+}
+
+// Next free "Case N" id for a case the agent has not named
+function nextDefaultCaseId() {
+  let n = 1;
+  while (cases.has(`Case ${n}`)) {
+    n++;
+  }
+  return `Case ${n}`;
+}
+
+// Open a case by id, or switch to it if it is already open
+function openCase(caseId) {
+  const id = caseId.trim();
+  if (!id) {
+    return;
+  }
+  if (!cases.has(id)) {
+    createCase(id);
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      saveCase(id, null);
+    }
+  }
+  hideNewCaseForm();
+  if (activeCaseId === id) {
+    renderCaseTabs();
+  } else {
+    switchCase(id);
+  }
+}
+
+// Close a case and forget its session
+async function closeCase(caseId) {
+  const caseRecord = cases.get(caseId);
+  const manager = caseId === activeCaseId ? stepManager : caseRecord.stepManager;
+  if (manager.hasArticle() && !confirm(`Close ${caseId}? Its troubleshooting session will be lost.`)) {
+    return;
+  }
+
+  cases.delete(caseId);
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    await removeCase(caseId);
+  }
+  
+  if (caseId !== activeCaseId) {
+    renderCaseTabs();
+    return;
+  }
+  activeCaseId = null;
+  if (cases.size === 0) {
+    createCase(nextDefaultCaseId());
+  }
+  activateCase(cases.keys().next().value);
+}
+
+// Show the form for opening a case
+function showNewCaseForm() {
+  document.getElementById('caseIdInput').value = '';
+  document.getElementById('caseFormMessage').textContent = '';
+  newCaseForm.classList.remove('hidden');
+  document.getElementById('caseIdInput').focus();
+}
+
+function hideNewCaseForm() {
+  newCaseForm.classList.add('hidden');
+}
+
+// Open the case whose id is in the active browser tab
+async function openCaseFromTab() {
+  const message = document.getElementById('caseFormMessage');
+  if (typeof chrome === 'undefined' || !chrome.tabs) {
+    message.textContent = 'Reading the active tab is only available in the extension.';
+    return;
+  }
+  
+  try {
+    const caseId = await getActiveTabCaseId();
+    if (caseId) {
+      openCase(caseId);
+    } else {
+      message.textContent = 'No case or ticket id found in the active tab. Type it instead.';
+    }
+  } catch (error) {
+    message.textContent = `Could not read the active tab: ${error.message}`;
+  }
+}
+
+// Restore the cases open when the panel was last closed
+async function initCases() {
+  let saved = { cases: [], activeCaseId: null };
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    saved = await loadCases();
+  }
+  
+  saved.cases.forEach(savedCase => createCase(savedCase.caseId, savedCase));
+  if (cases.size === 0) {
+    createCase(nextDefaultCaseId());
+  }
+  activateCase(saved.activeCaseId || cases.keys().next().value);
+}
+
+// Offer to resume the active case's saved session
+function showResumeBanner() {
+  if (!savedSession || stepManager.hasArticle()) {
+    resumeBanner.classList.add('hidden');
+    return;
+  }
+
+  const { state } = savedSession;
+  const minutesAgo = Math.round((Date.now() - savedSession.savedAt) / 60000);
+  const where = savedSession.view === 'steps'
+    ? `step ${state.position.index + 1}${state.position.pathId === MAIN_PATH ? '' : ' of a fallback path'}`
+    : savedSession.view;
+  document.getElementById('resumeText').textContent =
+    `${state.articleTitle} — ${where}, saved ${minutesAgo < 1 ? 'just now' : `${minutesAgo} min ago`}`;
+  resumeBanner.classList.remove('hidden');
+}
+
+// Restore the saved session and return to the view the agent left
+async function resumeSession() {
+  if (!savedSession) {
+    return;
+  }
+  const { state, view } = savedSession;
+  let article;
+  try {
+    article = await getArticleById(state.articleId);
+  } catch (error) {
+    handleKBError(error);
+    return;
+  }
+  resumeBanner.classList.add('hidden');
+  savedSession = null;
+
+  if (!stepManager.restoreState(article, state)) {
+    alert('This session can no longer be resumed because its article has changed or been removed.');
+    clearActiveCaseSession();
+    return;
+  }
+
+  lastQuery = state.query;
+  issueInput.value = state.query;
+  renderCaseTabs();
+  if (view === 'overview') {
+    displaySolutionOverview();
+  } else if (view === 'prechecks') {
+    displayPrechecks();
+  } else if (view === 'escalation') {
+    displayEscalation();
+  } else {
+    displayCurrentStep();
+  }
+}
+
+// Drop the saved session and start fresh
+function discardSavedSession() {
+  resumeBanner.classList.add('hidden');
+  savedSession = null;
+  clearActiveCaseSession();
+}
+
+// Forget the active case's saved session but keep the case open
+function clearActiveCaseSession() {
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    saveCase(activeCaseId, null);
+  }
+}
+
+// Save the active case's session with the view to resume on; resolved sessions are finished
+function saveActiveSession(section) {
+  if (!stepManager.hasArticle() || activeCaseId === null || typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+  const state = stepManager.getState();
+  if (state.resolution && state.resolution.status === 'resolved') {
+    saveCase(activeCaseId, null);
+    return;
+  }
+
+  let view = 'steps';
+  if (section === solutionSection || section === resultsSection) {
+    view = 'overview';
+  } else if (section === precheckSection) {
+    view = 'prechecks';
+  } else if (section === escalationSection) {
+    view = 'escalation';
+  }
+  saveCase(activeCaseId, state, view);
+}
+
+// Products and versions in the KB, and whether the current filters were detected
+// from the query (detected filters are re-detected on every search, chosen ones are kept)
+let facets = [];
+let facetsAutoDetected = false;
+
+// Download time of the KB the filters were filled from, to notice a background refresh
+let facetsFetchedAt = null;
+
+// Fill the product filter from the KB, keeping the current selection where the KB still has it
+async function initFacetFilters() {
+  try {
+    facets = await getFacets();
+    facetsFetchedAt = getKBStatus().fetchedAt;
+  } catch (error) {
+    console.warn('Failed to load product facets:', error);
+    return;
+  }
+  
+  const product = productFilter.value;
+  const version = versionFilter.value;
+  // Keep the "All products" option
+  productFilter.replaceChildren(productFilter.options[0]);
+  facets.forEach(facet => {
+    const option = document.createElement('option');
+    option.value = facet.product;
+    option.textContent = facet.product;
+    productFilter.appendChild(option);
+  });
+  setFacetFilters(product, version);
+}
+
+// Say when the KB may be out of date, and pick up a KB refreshed in the background
+function updateKBStatusBanner(status) {
+  if (facets.length > 0 && status.fetchedAt !== facetsFetchedAt) {
+    initFacetFilters();
+  }
+
+  // Bad credentials need the agent's attention even while a cached KB is served
+  kbSettingsBtn.classList.toggle('hidden', !status.authError);
+  if (status.authError) {
+    kbStatusText.textContent = `The knowledge base rejected its credentials (${status.authError}). ` +
+      (status.checkedAt ? 'Showing the last KB downloaded; update the credentials in Settings.' : 'Update the credentials in Settings.');
+    kbRefreshBtn.disabled = status.refreshing;
+    kbStatusBanner.classList.remove('hidden');
+    return;
+  }
+
+  // Only a KB downloaded from a source can be out of date
+  if (!status.checkedAt || (!status.stale && !status.lastError)) {
+    kbStatusBanner.classList.add('hidden');
+    return;
+  }
+
+  let text = `Knowledge base may be out of date (last checked ${formatAge(status.checkedAt)}).`;
+  if (status.refreshing) {
+    text += ' Refreshing…';
+  } else if (status.lastError) {
+    text += ` Refresh failed: ${status.lastError}`;
+  }
+  kbStatusText.textContent = text;
+  kbRefreshBtn.disabled = status.refreshing;
+  kbStatusBanner.classList.remove('hidden');
+}
+
+// Describe how long ago a timestamp was, e.g. "5 min ago"
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `${hours} h ago` : `${Math.round(hours / 24)} days ago`;
+}
+
+// Show which KB is in use and how old it is, and warn loudly when it is the demo KB
+function updateKBIndicator(status) {
+  const loaded = status.sources.filter(source => source.enabled && source.origin);
+  let state = '';
+  let text = 'Loading knowledge base…';
+  if (status.source === 'mock') {
+    state = 'kb-mock';
+    text = 'Demo KB (mock data)';
+  } else if (status.loadError) {
+    state = 'kb-unavailable';
+    text = 'KB unavailable';
+  } else if (status.source) {
+    state = status.stale || status.lastError ? 'kb-stale' : 'kb-live';
+    const label = { remote: 'Live', cache: 'Cached', file: 'Imported' }[status.source];
+    text = `${label} KB · ${loaded.map(source => source.name).join(' + ')} · ` +
+      `updated ${formatAge(status.fetchedAt)}`;
+  }
+  kbIndicator.className = `kb-indicator ${state}`.trim();
+  kbIndicatorText.textContent = text;
+
+  const details = loaded.map(source => (source.origin === 'file'
+    ? `${source.name}: ${source.articleCount} articles imported from a file ${formatAge(source.fetchedAt)}`
+    : `${source.name}: ${source.articleCount} articles ${source.origin === 'remote' ? 'from the source' : 'from the cache'}, ` +
+      `downloaded ${formatAge(source.fetchedAt)}, last checked ${formatAge(source.checkedAt)}`));
+  [status.mockReason, status.loadError, status.lastError && `Last fetch error: ${status.lastError}`]
+    .filter(Boolean)
+    .forEach(line => details.push(line));
+  kbIndicatorDetails.replaceChildren(...details.map(line => {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = line;
+    return paragraph;
+  }));
+
+  const lastError = status.lastError ? ` Last error: ${status.lastError}` : '';
+  if (status.source === 'mock') {
+    mockKBWarningTitle.textContent = '⚠ You are using the demo knowledge base';
+    mockKBWarningText.textContent = `${status.mockReason}. These articles are built-in examples, ` +
+      `not real support procedures - do not use them to troubleshoot customer issues.${lastError}`;
+  } else if (status.blocked) {
+    mockKBWarningTitle.textContent = '⛔ Knowledge base unavailable';
+    mockKBWarningText.textContent = `${status.loadError}. Search is disabled until a KB source can be loaded.${lastError}`;
+  }
+  mockKBWarning.classList.toggle('hidden', status.source !== 'mock' && !status.blocked);
+  searchBtn.disabled = status.blocked;
+}
+
+// Bring every KB status view up to date
+function showKBStatus(status) {
+  updateKBIndicator(status);
+  updateKBStatusBanner(status);
+}
+
+// Show or hide the details behind the KB indicator
+function toggleKBIndicatorDetails() {
+  const expanded = kbIndicatorDetails.classList.toggle('hidden') === false;
+  kbIndicator.setAttribute('aria-expanded', String(expanded));
+}
+
+// Refresh the KB now instead of waiting for the background refresh
+async function refreshKBNow() {
+  kbRefreshBtn.disabled = true;
+  try {
+    await refreshKB();
+  } catch (error) {
+    console.warn('Failed to refresh KB:', error);
+  }
+  showKBStatus(getKBStatus());
+}
+
+// Show a KB that cannot be loaded because of bad credentials or the blocked demo KB;
+// any other failure (network, storage) is shown in the KB status banner
+function handleKBError(error) {
+  if (error instanceof KBAuthError || error instanceof KBUnavailableError) {
+    console.warn('No KB available:', error.message);
+    showKBStatus(getKBStatus());
+    return;
+  }
+  console.error('Knowledge base request failed:', error);
+  kbSettingsBtn.classList.add('hidden');
+  kbStatusText.textContent = `Something went wrong while using the knowledge base: ${error.message}`;
+  kbRefreshBtn.disabled = false;
+  kbStatusBanner.classList.remove('hidden');
+}
+
+addKBStatusListener(showKBStatus);
+
+// Pick up the KB the background sync downloaded (only inside the extension)
+if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+  chrome.runtime.onMessage.addListener(message => {
+    if (message && message.type === KB_UPDATED_MESSAGE) {
+      reloadCachedKB().catch(error => console.warn('Failed to reload KB:', error));
+    }
+  });
+}
+initFacetFilters().then(() => showKBStatus(getKBStatus()));
+
+// Fill the version filter with the versions of the selected product
+function populateVersionFilter() {
+  const facet = facets.find(candidate => candidate.product === productFilter.value);
+  const versions = facet ? facet.versions : [];
+  
+  versionFilter.replaceChildren();
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = 'All versions';
+  versionFilter.appendChild(allOption);
+  versions.forEach(version => {
+    const option = document.createElement('option');
+    option.value = version;
+    option.textContent = version;
+    versionFilter.appendChild(option);
+  });
+  versionFilter.disabled = versions.length === 0;
+}
+
+// Set both filters; an unknown product or version selects "All"
+function setFacetFilters(product, version) {
+  productFilter.value = facets.some(facet => facet.product === product) ? product : '';
+  populateVersionFilter();
+  versionFilter.value = version && [...versionFilter.options].some(option => option.value === version) ? version : '';
+}
+
+// Clear the filters if they were detected rather than chosen
+function clearDetectedFacets() {
+  if (facetsAutoDetected) {
+    setFacetFilters('', '');
+    facetsAutoDetected = false;
+  }
+  facetHint.classList.add('hidden');
+}
+
+// The agent picked a filter by hand, so stop re-detecting it
+function handleFacetChange() {
+  facetsAutoDetected = false;
+  facetHint.classList.add('hidden');
+}
+
 // Search for solution
 async function searchForSolution() {
   const query = issueInput.value.trim();
@@ -92,28 +709,378 @@ async function searchForSolution() {
     alert('Please enter a description of your issue before searching');
     return;
   }
+  resumeBanner.classList.add('hidden');
+
+  try {
+    // Detect product and version from the query unless the agent chose them
+    if (!productFilter.value || facetsAutoDetected) {
+      const detected = await detectQueryFacets(query);
+      setFacetFilters(detected.product, detected.version);
+      facetsAutoDetected = Boolean(detected.product);
+    }
 
-  const article = await findBestMatch(query);
+    lastResults = await search(query, { product: productFilter.value, version: versionFilter.value });
+    
+    // A detected filter should narrow the results, never hide them all
+    if (lastResults.length === 0 && facetsAutoDetected) {
+      clearDetectedFacets();
+      lastResults = await search(query);
+    }
+  } catch (error) {
+    handleKBError(error);
+    return;
+  }
   
-  if (article) {
-    stepManager.setArticle(article);
-    displaySolutionOverview();
+  if (facetsAutoDetected) {
+    const filter = [productFilter.value, versionFilter.value].filter(Boolean).join(' ');
+    facetHint.textContent = `Showing ${filter} articles (detected from your issue). Change the filter to search all products.`;
+    facetHint.classList.remove('hidden');
   } else {
+    facetHint.classList.add('hidden');
+  }
+  
+  lastQuery = query;
+  logEvent(EVENT_TYPES.SEARCH, {
+    query: query,
+    resultCount: lastResults.length,
+    product: productFilter.value || null,
+    version: versionFilter.value || null
+  });
+  
+  if (lastResults.length === 0) {
+    logEvent(EVENT_TYPES.NO_RESULTS, { query: query });
     showSection(noResultsSection);
+  } else if (lastResults.length === 1) {
+    selectArticle(lastResults[0].article);
+  } else {
+    displaySearchResults();
+  }
+}
+
+// Labels for the article fields a search can match on
+const MATCH_FIELD_LABELS = {
+  title: 'title',
+  tags: 'tag',
+  keywords: 'keyword',
+  product: 'product',
+  summary: 'summary',
+  steps: 'steps',
+  prechecks: 'prechecks',
+  fallbacks: 'fallbacks',
+  stop_conditions: 'stop conditions'
+};
+
+// Ranked results of the last search, kept so the agent can go back and pick another
+let lastResults = [];
+let lastQuery = '';
+
+// Log an analytics event about the active case's troubleshooting session
+function logSessionEvent(type, data = {}) {
+  const article = stepManager.getArticle();
+  logEvent(type, {
+    sessionId: `${article.id}:${stepManager.startedAt}`,
+    articleId: article.id,
+    ...data
+  });
+}
+
+// Log how the active session ended, from the resolution the step manager recorded
+function logSessionEnd() {
+  const { status, ...resolution } = stepManager.getSessionRecord().resolution;
+  logSessionEvent(status === 'resolved' ? EVENT_TYPES.RESOLVED : EVENT_TYPES.ESCALATED, resolution);
+}
+
+// Start a session on the chosen article
+function selectArticle(article) {
+  stepManager.setArticle(article, lastQuery);
+  logSessionEvent(EVENT_TYPES.ARTICLE_STARTED, { articleTitle: article.title, query: lastQuery });
+  renderCaseTabs();
+  displaySolutionOverview();
+}
+
+// Display the ranked candidates with their match reasons
+function displaySearchResults() {
+  const resultsList = document.getElementById('resultsList');
+  resultsList.innerHTML = '';
+  
+  lastResults.forEach(result => {
+    const card = document.createElement('button');
+    card.className = 'result-card';
+    
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    appendHighlighted(title, result.article.title, result.matches.title || []);
+    card.appendChild(title);
+    
+    const meta = document.createElement('div');
+    meta.className = 'result-meta';
+    meta.textContent = [formatProduct(result.article), result.article.sourceName, `score ${result.score}`]
+      .filter(Boolean).join(' · ');
+    card.appendChild(meta);
+    
+    const reasons = document.createElement('div');
+    reasons.className = 'match-reasons';
+    Object.entries(result.matches).forEach(([field, words]) => {
+      const chip = document.createElement('span');
+      chip.className = 'match-chip';
+      chip.textContent = `${MATCH_FIELD_LABELS[field] || field}: ${words.join(', ')}`;
+      reasons.appendChild(chip);
+    });
+    card.appendChild(reasons);
+    
+    card.addEventListener('click', () => selectArticle(result.article));
+    resultsList.appendChild(card);
+  });
+  
+  showSection(resultsSection);
+}
+
+// Append text to an element, wrapping the given words in <mark>
+function appendHighlighted(element, text, words) {
+  if (words.length === 0) {
+    element.textContent = text;
+    return;
   }
+
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi');
+  text.split(pattern).forEach((part, index) => {
+    // split() with a capture group puts the matched words at odd indexes
+    if (index % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
 }
 
 // Display solution overview
 function displaySolutionOverview() {
   const stepInfo = stepManager.getCurrentStep();
+  const article = stepManager.getArticle();
   
   document.getElementById('solutionTitle').textContent = stepInfo.articleTitle;
+  document.getElementById('solutionProduct').textContent =
+    [formatProduct(article), article.sourceName].filter(Boolean).join(' · ');
   document.getElementById('solutionSummary').textContent = stepInfo.articleSummary;
-  document.getElementById('stepCount').textContent = `This solution has ${stepInfo.totalSteps} steps`;
+  const precheckCount = article.prechecks.length;
+  document.getElementById('stepCount').textContent = precheckCount > 0
+    ? `This solution has ${precheckCount} prechecks and ${stepInfo.totalSteps} steps`
+    : `This solution has ${stepInfo.totalSteps} steps`;
+  backToResultsBtn.classList.toggle('hidden', lastResults.length < 2);
   
   showSection(solutionSection);
 }
 
+// Alternative article suggested after a failed precheck
+let alternativeArticle = null;
+
+// Start the solution - prechecks first when the article has any
+function startSolution() {
+  if (stepManager.getArticle().prechecks.length === 0) {
+    displayCurrentStep();
+    return;
+  }
+  displayPrechecks();
+}
+
+// Display the precheck checklist
+function displayPrechecks() {
+  const precheckList = document.getElementById('precheckList');
+  precheckList.innerHTML = '';
+  
+  stepManager.getPrecheckResults().forEach((precheck, index) => {
+    const li = document.createElement('li');
+    li.className = 'precheck-item';
+    if (precheck.status) {
+      li.classList.add(precheck.status);
+    }
+    
+    const text = document.createElement('span');
+    text.textContent = precheck.text;
+    li.appendChild(text);
+    
+    const passBtn = document.createElement('button');
+    passBtn.className = 'btn btn-outline';
+    passBtn.textContent = '✓';
+    passBtn.title = 'Precheck passed';
+    passBtn.addEventListener('click', () => markPrecheck(index, 'passed'));
+    li.appendChild(passBtn);
+    
+    const failBtn = document.createElement('button');
+    failBtn.className = 'btn btn-outline';
+    failBtn.textContent = '✗';
+    failBtn.title = 'Precheck failed';
+    failBtn.addEventListener('click', () => markPrecheck(index, 'failed'));
+    li.appendChild(failBtn);
+    
+    precheckList.appendChild(li);
+  });
+  
+  updatePrecheckGate();
+  showSection(precheckSection);
+}
+
+// Record a precheck result and refresh the checklist
+function markPrecheck(index, status) {
+  stepManager.setPrecheckResult(index, status);
+  displayPrechecks();
+}
+
+// Unlock step 1 once every precheck passed, or offer alternatives when one failed
+function updatePrecheckGate() {
+  const failed = stepManager.getFailedPrechecks();
+  const failedBox = document.getElementById('precheckFailedBox');
+  
+  startStepsBtn.disabled = !stepManager.arePrechecksComplete() || failed.length > 0;
+  
+  if (failed.length === 0) {
+    failedBox.classList.add('hidden');
+    alternativeArticleBtn.classList.add('hidden');
+    precheckEscalateBtn.classList.add('hidden');
+    return;
+  }
+
+  failedBox.classList.remove('hidden');
+  precheckEscalateBtn.classList.remove('hidden');
+  document.getElementById('precheckFailedText').textContent =
+    `Failed: ${failed.join('; ')}. This article may not fit the issue.`;
+  findAlternativeArticle(failed);
+}
+
+// Look for a better-matching article using the query and the failed prechecks
+async function findAlternativeArticle(failedPrechecks) {
+  const article = stepManager.getArticle();
+  const query = `${stepManager.query} ${failedPrechecks.join(' ')}`;
+  const alternativeText = document.getElementById('alternativeArticleText');
+  
+  try {
+    alternativeArticle = await findBestMatch(query, { excludeIds: [article.id] });
+  } catch (error) {
+    handleKBError(error);
+    alternativeArticle = null;
+  }
+  
+  // The agent may have moved on while the search was running
+  if (stepManager.getArticle() !== article) {
+    return;
+  }
+
+  if (alternativeArticle) {
+    alternativeText.textContent = `A better match may be: ${alternativeArticle.title}`;
+    alternativeArticleBtn.classList.remove('hidden');
+  } else {
+    alternativeText.textContent = 'No better-matching article was found. Escalate the issue instead.';
+    alternativeArticleBtn.classList.add('hidden');
+  }
+}
+
+// Switch to the suggested article
+function openAlternativeArticle() {
+  if (!alternativeArticle) {
+    return;
+  }
+  stepManager.setArticle(alternativeArticle, stepManager.query);
+  logSessionEvent(EVENT_TYPES.ARTICLE_STARTED, { articleTitle: alternativeArticle.title, query: stepManager.query });
+  alternativeArticle = null;
+  renderCaseTabs();
+  displaySolutionOverview();
+}
+
+// Escalate straight from the precheck screen
+function escalateFromPrechecks() {
+  stepManager.escalate(`Failed prechecks: ${stepManager.getFailedPrechecks().join('; ')}`, 'prechecks');
+  logSessionEnd();
+  displayEscalation();
+}
+
+// Display the escalation target for the current article
+function displayEscalation() {
+  const article = stepManager.getArticle();
+  const escalation = article.escalation;
+  const record = stepManager.getSessionRecord();
+  
+  document.getElementById('escalationTarget').textContent =
+    escalation ? escalation.target : 'No escalation target defined for this article';
+  document.getElementById('escalationWhen').textContent = escalation ? escalation.when : '-';
+  document.getElementById('escalationReason').textContent =
+    record.resolution ? `Reason: ${record.resolution.reason}` : '';
+  escalationNotes.value = stepManager.notes;
+  document.getElementById('copyHandoffStatus').textContent = '';
+  
+  updateHandoffPreview();
+  showSection(escalationSection);
+}
+
+// Handoff formats offered in the escalation view
+const handoffFormatters = {
+  text: formatHandoffText,
+  markdown: formatHandoffMarkdown,
+  json: formatHandoffJSON
+};
+let handoffFormat = 'text';
+
+// Build the handoff packet in the selected format
+function getHandoffText() {
+  const packet = buildHandoffPacket(stepManager.getSessionRecord(), stepManager.getArticle());
+  return handoffFormatters[handoffFormat](packet);
+}
+
+// Refresh the handoff preview and the active format button
+function updateHandoffPreview() {
+  document.getElementById('handoffPreview').textContent = getHandoffText();
+  document.querySelectorAll('.handoff-formats .btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.format === handoffFormat);
+  });
+}
+
+// Copy the handoff in the selected format to the clipboard
+async function copyHandoff() {
+  const status = document.getElementById('copyHandoffStatus');
+  try {
+    await navigator.clipboard.writeText(getHandoffText());
+    status.textContent = '✓ Copied to clipboard';
+  } catch (error) {
+    console.error('Failed to copy handoff:', error);
+    status.textContent = 'Copy failed - select the text above and copy it manually';
+  }
+}
+
+// Escalate from the step view with the reasons that triggered the suggestion
+function escalateFromSteps() {
+  const status = stepManager.getEscalationStatus();
+  stepManager.escalate(status.reasons.join('; ') || 'Escalated by agent');
+  logSessionEnd();
+  displayEscalation();
+}
+
+// Show the escalate action when the article's escalation condition is likely met
+function updateEscalationHint() {
+  const status = stepManager.getEscalationStatus();
+  const hint = document.getElementById('escalationHint');
+  
+  if (!status.suggested) {
+    hint.classList.add('hidden');
+    return;
+  }
+
+  const article = stepManager.getArticle();
+  const target = article.escalation ? ` to ${article.escalation.target}` : '';
+  document.getElementById('escalationHintText').textContent =
+    `${status.reasons.join(', ')}. Escalate${target}?`;
+  hint.classList.remove('hidden');
+}
+
+// Format product and version for display (empty for articles without a product)
+function formatProduct(article) {
+  if (!article.product) {
+    return '';
+  }
+  return article.version ? `${article.product} (${article.version})` : article.product;
+}
+
 // Display current step
 function displayCurrentStep() {
   const stepInfo = stepManager.getCurrentStep();
@@ -123,9 +1090,20 @@ function displayCurrentStep() {
   }
 
   // Update step display
-  document.getElementById('stepNumber').textContent = `Step ${stepInfo.stepNumber} of ${stepInfo.totalSteps}`;
+  const stepLabel = `Step ${stepInfo.stepNumber} of ${stepInfo.totalSteps}`;
+  document.getElementById('stepNumber').textContent = stepInfo.isFallback ? `Fallback · ${stepLabel}` : stepLabel;
   document.getElementById('stepTitle').textContent = stepInfo.articleTitle;
-  document.getElementById('stepText').textContent = stepInfo.stepText;
+  document.getElementById('stepPath').textContent = stepInfo.isFallback
+    ? `Fallback path: ${formatReasonCategory(stepInfo.fallbackReason)}`
+    : '';
+  document.getElementById('stepType').textContent = stepInfo.stepType === 'check' ? '🔍 Check' : '🛠️ Action';
+  renderStepView(stepInfo);
+  
+  // Stop conditions and the early-exit offer stay hidden until needed
+  stopConditionPanel.classList.add('hidden');
+  earlyExitBox.classList.add('hidden');
+  notesInput.value = stepManager.notes;
+  updateEscalationHint();
   
   // Update progress bar
   updateProgressDisplay();
@@ -142,48 +1120,154 @@ function displayCurrentStep() {
   showSection(stepSection);
 }
 
+// Fill the step content for the agent view or the customer-script view
+function renderStepView(stepInfo) {
+  const isCustomerView = stepViewMode === 'customer';
+  
+  agentViewBtn.classList.toggle('active', !isCustomerView);
+  customerViewBtn.classList.toggle('active', isCustomerView);
+  document.getElementById('copyScriptStatus').textContent = '';
+  
+  if (isCustomerView) {
+    document.getElementById('stepText').textContent = stepInfo.sayToCustomer || stepInfo.stepText;
+    document.getElementById('stepExpected').textContent = stepInfo.sayToCustomer
+      ? ''
+      : 'No customer script for this step - showing the internal description.';
+    copyScriptBtn.classList.remove('hidden');
+  } else {
+    document.getElementById('stepText').textContent = stepInfo.stepText;
+    document.getElementById('stepExpected').textContent = stepInfo.expected
+      ? `Expected: ${stepInfo.expected}`
+      : '';
+    copyScriptBtn.classList.add('hidden');
+  }
+
+  let question = 'Did this step work?';
+  if (stepInfo.expected) {
+    question = isCustomerView
+      ? `Expected outcome met? (${stepInfo.expected})`
+      : 'Expected outcome met?';
+  }
+  document.getElementById('outcomeQuestion').textContent = question;
+  
+  // Check steps pass or fail, action steps are done or couldn't be done
+  if (stepInfo.stepType === 'check') {
+    outcomeYesBtn.textContent = '✓ Pass';
+    outcomeNoBtn.textContent = '✗ Fail';
+  } else {
+    outcomeYesBtn.textContent = '✓ Done';
+    outcomeNoBtn.textContent = '✗ Couldn\'t do';
+  }
+}
+
+// Switch between the agent view and the customer-script view
+async function setStepViewMode(mode) {
+  stepViewMode = mode;
+  renderStepView(stepManager.getCurrentStep());
+  
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    try {
+      await chrome.storage.local.set({ [STEP_VIEW_STORAGE_KEY]: mode });
+    } catch (error) {
+      console.warn('Failed to save step view preference:', error);
+    }
+  }
+}
+
+// Copy the customer script of the current step to the clipboard
+async function copyCustomerScript() {
+  const stepInfo = stepManager.getCurrentStep();
+  const status = document.getElementById('copyScriptStatus');
+  try {
+    await navigator.clipboard.writeText(stepInfo.sayToCustomer || stepInfo.stepText);
+    status.textContent = '✓ Copied';
+  } catch (error) {
+    console.error('Failed to copy customer script:', error);
+    status.textContent = 'Copy failed';
+  }
+}
+
+// Record whether the current step worked and log the outcome
+function recordStepResult(succeeded) {
+  const stepInfo = stepManager.getCurrentStep();
+  const outcome = stepManager.recordResult(succeeded);
+  logSessionEvent(EVENT_TYPES.STEP_OUTCOME, {
+    pathId: stepInfo.pathId,
+    stepId: stepInfo.stepId,
+    stepNumber: stepInfo.stepNumber,
+    stepText: stepInfo.stepText,
+    outcome: outcome
+  });
+}
+
+// Step worked - record it, then offer an early exit if a passed check meets a stop condition
+function handleOutcomeMet() {
+  recordStepResult(true);
+  
+  const condition = stepManager.getMetStopCondition();
+  if (condition) {
+    document.getElementById('earlyExitText').textContent =
+      `This check meets the stop condition "${condition}".`;
+    earlyExitBox.dataset.condition = condition;
+    earlyExitBox.classList.remove('hidden');
+    updateProgressDisplay();
+    saveActiveSession(stepSection);
+    return;
+  }
+
+  handleContinue();
+}
+
 // Update progress display (bar or stepping stones based on theme)
 function updateProgressDisplay() {
   const stepInfo = stepManager.getCurrentStep();
   if (!stepInfo) return;
   
-  const progress = (stepInfo.stepNumber / stepInfo.totalSteps) * 100;
   const progressBar = document.querySelector('.progress-bar');
-  const progressFill = document.getElementById('progressFill');
+  
+  // Clear any previous segments, stones and boy
+  const existing = progressBar.querySelectorAll('.progress-segment, .stepping-stone, .cartoon-boy');
+  existing.forEach(element => element.remove());
   
   if (document.body.classList.contains('watercolor-theme')) {
     // Create stepping stones animation
-    createSteppingStones(progressBar, stepInfo.stepNumber, stepInfo.totalSteps);
+    createSteppingStones(progressBar, stepInfo.pathProgress);
   } else {
-    // Use traditional progress bar
-    progressFill.style.width = `${progress}%`;
-    // Clear any stepping stones
-    const existingStones = progressBar.querySelectorAll('.stepping-stone, .cartoon-boy');
-    existingStones.forEach(stone => stone.remove());
+    // Use segmented progress bar
+    createProgressSegments(progressBar, stepInfo.pathProgress);
   }
 }
 
+// Create one progress bar segment per step, styled by its outcome
+function createProgressSegments(container, pathProgress) {
+  pathProgress.forEach(step => {
+    const segment = document.createElement('div');
+    segment.className = `progress-segment ${step.status}`;
+    if (step.isCurrent) {
+      segment.classList.add('current');
+    }
+    container.appendChild(segment);
+  });
+}
+
 // Create stepping stones with cartoon boy
-function createSteppingStones(container, currentStep, totalSteps) {
-  // Clear existing stones and boy
-  const existingStones = container.querySelectorAll('.stepping-stone, .cartoon-boy');
-  existingStones.forEach(stone => stone.remove());
-  
-  // Create stones
-  const stones = [];
-  for (let i = 0; i < totalSteps; i++) {
+function createSteppingStones(container, pathProgress) {
+  // Create stones, styled by each step's outcome
+  let currentStone = null;
+  pathProgress.forEach(step => {
     const stone = document.createElement('div');
     stone.className = 'stepping-stone';
     
-    if (i < currentStep - 1) {
-      stone.classList.add('completed');
-    } else if (i === currentStep - 1) {
+    if (step.status !== 'pending') {
+      stone.classList.add(step.status);
+    }
+    if (step.isCurrent) {
       stone.classList.add('active');
+      currentStone = stone;
     }
     
     container.appendChild(stone);
-    stones.push(stone);
-  }
+  });
   
   // Create cartoon boy
   const boy = document.createElement('div');
@@ -223,9 +1307,9 @@ function createSteppingStones(container, currentStep, totalSteps) {
   
   container.appendChild(boy);
   
-  // Position boy on current stone (currentStep is 1-based, stones array is 0-based)
-  if (stones[currentStep - 1]) {
-    positionBoyOnStone(boy, stones[currentStep - 1], container);
+  // Position boy on current stone
+  if (currentStone) {
+    positionBoyOnStone(boy, currentStone, container);
   }
 }
 
@@ -265,20 +1349,108 @@ function handleBack() {
 
 // Handle reset button
 function handleReset() {
-  if (confirm('Are you sure you want to restart from step 1?')) {
-    stepManager.reset();
+  if (confirm('Restart from step 1? The step results and fallbacks taken so far will be cleared.')) {
+    stepManager.restart();
     displayCurrentStep();
   }
 }
 
+// Show or hide the article's stop conditions on the current step
+function toggleStopConditions() {
+  if (!stopConditionPanel.classList.contains('hidden')) {
+    stopConditionPanel.classList.add('hidden');
+    return;
+  }
+
+  const article = stepManager.getArticle();
+  const conditions = article.stop_conditions.length > 0
+    ? article.stop_conditions
+    : ['Customer confirms the issue is resolved'];
+  const list = document.getElementById('stopConditionList');
+  list.innerHTML = '';
+  
+  conditions.forEach(condition => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-outline';
+    button.textContent = condition;
+    button.addEventListener('click', () => resolveWithCondition(condition));
+    list.appendChild(button);
+  });
+  
+  stopConditionPanel.classList.remove('hidden');
+}
+
+// End the flow as resolved because a stop condition was met
+function resolveWithCondition(condition) {
+  stepManager.resolve(condition);
+  logSessionEnd();
+  displayResolution();
+}
+
+// Display how and where the issue was resolved
+function displayResolution() {
+  const resolution = stepManager.getSessionRecord().resolution;
+  
+  document.getElementById('resolvedCondition').textContent = resolution.condition
+    ? `Stop condition met: ${resolution.condition}`
+    : 'All steps completed.';
+  const stepKind = resolution.pathId === MAIN_PATH ? 'step' : 'fallback step';
+  document.getElementById('resolvedStep').textContent =
+    `Resolved at ${stepKind} ${resolution.stepNumber} (${resolution.stepId})`;
+  document.getElementById('copyTranscriptStatus').textContent = '';
+  
+  updateTranscriptPreview();
+  showSection(resolvedSection);
+}
+
+// Transcript formats offered for a finished session, with the file type of a download
+const transcriptFormatters = {
+  text: { format: formatTranscriptText, extension: 'txt', mimeType: 'text/plain' },
+  markdown: { format: formatTranscriptMarkdown, extension: 'md', mimeType: 'text/markdown' }
+};
+let transcriptFormat = 'text';
+
+// Build the session transcript in the selected format
+function getTranscriptText() {
+  const transcript = buildSessionTranscript(stepManager.getSessionRecord(), stepManager.getArticle(), activeCaseId);
+  return transcriptFormatters[transcriptFormat].format(transcript);
+}
+
+// Refresh the transcript preview and the active format button
+function updateTranscriptPreview() {
+  document.getElementById('transcriptPreview').textContent = getTranscriptText();
+  document.querySelectorAll('.transcript-formats .btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.format === transcriptFormat);
+  });
+}
+
+// Copy the transcript in the selected format to the clipboard
+async function copyTranscript() {
+  const status = document.getElementById('copyTranscriptStatus');
+  try {
+    await navigator.clipboard.writeText(getTranscriptText());
+    status.textContent = '✓ Copied to clipboard';
+  } catch (error) {
+    console.error('Failed to copy transcript:', error);
+    status.textContent = 'Copy failed - select the text above and copy it manually';
+  }
+}
+
+// Download the transcript in the selected format
+function downloadTranscript() {
+  const { extension, mimeType } = transcriptFormatters[transcriptFormat];
+  downloadFile(exportFilename(`session-${activeCaseId || 'transcript'}`, extension), getTranscriptText(), mimeType);
+}
+
 // Show completion message
 function showCompletionMessage() {
   if (confirm('Great! Did this solve your issue?')) {
-    alert('Wonderful! We\'re glad we could help.');
-    resetToSearch();
+    stepManager.resolve(null);
+    logSessionEnd();
+    displayResolution();
   } else {
     if (confirm('We\'re sorry to hear that. Would you like to provide feedback?')) {
-      showSection(feedbackSection);
+      showFeedbackForm('', 'not_resolved');
     } else {
       resetToSearch();
     }
@@ -299,23 +1471,117 @@ function displayFullArticle() {
   const stepsList = document.getElementById('articleSteps');
   stepsList.innerHTML = '';
   
-  article.steps.forEach((step, index) => {
+  article.steps.forEach(step => {
     const li = document.createElement('li');
-    li.textContent = step;
+    li.textContent = step.text;
     stepsList.appendChild(li);
   });
   
   showSection(fullArticleSection);
 }
 
-// Handle "This didn't work" feedback
+// Download the article shown in the full-article view as Markdown or printable HTML
+function exportArticle(format) {
+  const article = stepManager.getArticle();
+  if (!article) {
+    return;
+  }
+  if (format === 'html') {
+    downloadFile(exportFilename(article.title, 'html'), formatArticleHTML(article), 'text/html');
+  } else {
+    downloadFile(exportFilename(article.title, 'md'), formatArticleMarkdown(article), 'text/markdown');
+  }
+}
+
+// Format a fallback reason category for display (e.g. "emails_stuck_in_outbox")
+function formatReasonCategory(category) {
+  const text = (category || '').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Handle "This didn't work" - offer fallback paths, or feedback if there are none
 function handleDidntWork() {
+  recordStepResult(false);
+  const fallbacks = stepManager.getAvailableFallbacks();
+  
+  if (fallbacks.length === 0) {
+    const stepInfo = stepManager.getCurrentStep();
+    showFeedbackForm('', stepInfo.isFallback ? stepInfo.fallbackReason : 'no_fallback_available');
+    return;
+  }
+
+  renderFallbackOptions(fallbacks);
+  fallbackReasonInput.value = '';
+  document.getElementById('fallbackMatchMessage').textContent = '';
+  showSection(fallbackSection);
+}
+
+// Render one button per fallback reason category
+function renderFallbackOptions(fallbacks) {
+  const container = document.getElementById('fallbackOptions');
+  container.innerHTML = '';
+  
+  fallbacks.forEach(fallback => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-outline';
+    button.textContent = formatReasonCategory(fallback.reason_category);
+    
+    if (stepManager.hasTriedFallback(fallback.id)) {
+      button.classList.add('tried');
+      button.textContent += ' (tried before)';
+    }
+    
+    button.addEventListener('click', () => takeFallback(fallback.id));
+    container.appendChild(button);
+  });
+}
+
+// Pick a fallback path from the agent's typed reason using the trigger keywords
+function matchFallbackFromReason() {
+  const reason = fallbackReasonInput.value.trim();
+  
+  if (!reason) {
+    alert('Please describe what happened before searching for a matching path');
+    return;
+  }
+
+  const matches = stepManager.findFallbacks(reason);
+  
+  if (matches.length === 0) {
+    document.getElementById('fallbackMatchMessage').textContent =
+      'No fallback path matches that description. Pick a reason above, or choose "None of these" to send feedback.';
+    return;
+  }
+
+  takeFallback(matches[0].id);
+}
+
+// Switch into a fallback path and show its first step
+function takeFallback(fallbackId) {
+  if (stepManager.enterFallback(fallbackId)) {
+    const fallback = stepManager.getFallback(fallbackId);
+    logSessionEvent(EVENT_TYPES.FALLBACK_TAKEN, {
+      articleTitle: stepManager.getArticle().title,
+      fallbackId: fallbackId,
+      reasonCategory: fallback.reason_category
+    });
+    displayCurrentStep();
+  }
+}
+
+// Why the article did not work, sent with the feedback (a fallback reason category or an outcome)
+let feedbackReasonCategory = null;
+
+// Show the feedback form, optionally prefilled with the agent's reason
+function showFeedbackForm(text, reasonCategory) {
+  feedbackReasonCategory = reasonCategory;
   showSection(feedbackSection);
-  document.getElementById('feedbackText').value = '';
+  document.getElementById('feedbackText').value = text;
+  document.getElementById('feedbackError').textContent = '';
 }
 
-// Submit feedback
-function submitFeedback() {
+// Submit feedback, or queue it for the background worker when it cannot be sent
+async function submitFeedback() {
   const feedback = document.getElementById('feedbackText').value.trim();
   
   if (!feedback) {
@@ -323,20 +1589,45 @@ function submitFeedback() {
     return;
   }
 
-  // TODO: Replace with backend API call when implementing server integration
-  console.log('Feedback submitted:', {
-    article: stepManager.getArticle().title,
-    step: stepManager.getCurrentStep().stepNumber,
-    feedback: feedback
-  });
+  const errorText = document.getElementById('feedbackError');
+  errorText.textContent = '';
+  submitFeedbackBtn.disabled = true;
+  let result;
+  try {
+    const payload = buildFeedbackPayload({
+      article: stepManager.getArticle(),
+      stepId: stepManager.getCurrentStep().stepId,
+      reasonCategory: feedbackReasonCategory,
+      text: feedback,
+      query: stepManager.query,
+      kbVersion: await getKBVersion()
+    });
+    result = await sendFeedback(payload);
+  } catch (error) {
+    console.error('Failed to submit feedback:', error);
+    errorText.textContent = `Your feedback could not be sent or saved (${error.message}). Please try again.`;
+    return;
+  } finally {
+    submitFeedbackBtn.disabled = false;
+  }
   
+  const successTexts = {
+    sent: 'We\'ll use this to improve our support articles.',
+    queued: 'It couldn\'t be sent right now, so it was saved and will be sent automatically.',
+    not_configured: 'Feedback delivery isn\'t configured yet, so it was saved and will be sent once a feedback endpoint is set in the options.'
+  };
+  document.getElementById('feedbackSuccessText').textContent = successTexts[result.status];
   showSection(feedbackSuccessSection);
 }
 
 // Reset to search
 function resetToSearch() {
   stepManager.clear();
+  clearActiveCaseSession();
+  lastResults = [];
   issueInput.value = '';
+  clearDetectedFacets();
+  renderCaseTabs();
   showSection(searchSection);
   issueInput.focus();
 }
@@ -350,24 +1641,98 @@ issueInput.addEventListener('keypress', (e) => {
   }
 });
 
+productFilter.addEventListener('change', () => {
+  populateVersionFilter();
+  handleFacetChange();
+});
+versionFilter.addEventListener('change', handleFacetChange);
+
+document.getElementById('newCaseBtn').addEventListener('click', showNewCaseForm);
+document.getElementById('openCaseBtn').addEventListener('click', () => openCase(document.getElementById('caseIdInput').value));
+document.getElementById('caseIdInput').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    openCase(e.target.value);
+  }
+});
+document.getElementById('caseFromTabBtn').addEventListener('click', openCaseFromTab);
+document.getElementById('cancelCaseBtn').addEventListener('click', hideNewCaseForm);
+
+resumeBtn.addEventListener('click', resumeSession);
+discardSessionBtn.addEventListener('click', discardSavedSession);
+
 tryAgainBtn.addEventListener('click', resetToSearch);
-startBtn.addEventListener('click', displayCurrentStep);
+startBtn.addEventListener('click', startSolution);
 backToSearchBtn.addEventListener('click', resetToSearch);
+backToResultsBtn.addEventListener('click', displaySearchResults);
+resultsBackBtn.addEventListener('click', resetToSearch);
+
+startStepsBtn.addEventListener('click', displayCurrentStep);
+alternativeArticleBtn.addEventListener('click', openAlternativeArticle);
+precheckEscalateBtn.addEventListener('click', escalateFromPrechecks);
+precheckBackBtn.addEventListener('click', displaySolutionOverview);
+escalateBtn.addEventListener('click', escalateFromSteps);
+notesInput.addEventListener('input', () => {
+  stepManager.setNotes(notesInput.value);
+  saveActiveSession(stepSection);
+});
+escalationNotes.addEventListener('input', () => {
+  stepManager.setNotes(escalationNotes.value);
+  updateHandoffPreview();
+  saveActiveSession(escalationSection);
+});
+document.querySelectorAll('.handoff-formats .btn').forEach(button => {
+  button.addEventListener('click', () => {
+    handoffFormat = button.dataset.format;
+    updateHandoffPreview();
+  });
+});
+copyHandoffBtn.addEventListener('click', copyHandoff);
+downloadEscalationTranscriptBtn.addEventListener('click', downloadTranscript);
+document.querySelectorAll('.transcript-formats .btn').forEach(button => {
+  button.addEventListener('click', () => {
+    transcriptFormat = button.dataset.format;
+    updateTranscriptPreview();
+  });
+});
+copyTranscriptBtn.addEventListener('click', copyTranscript);
+downloadTranscriptBtn.addEventListener('click', downloadTranscript);
+escalationNewSearchBtn.addEventListener('click', resetToSearch);
+resolvedNewSearchBtn.addEventListener('click', resetToSearch);
 
 continueBtn.addEventListener('click', handleContinue);
 backBtn.addEventListener('click', handleBack);
 resetBtn.addEventListener('click', handleReset);
 
+agentViewBtn.addEventListener('click', () => setStepViewMode('agent'));
+customerViewBtn.addEventListener('click', () => setStepViewMode('customer'));
+copyScriptBtn.addEventListener('click', copyCustomerScript);
+outcomeYesBtn.addEventListener('click', handleOutcomeMet);
+outcomeNoBtn.addEventListener('click', handleDidntWork);
+earlyExitResolveBtn.addEventListener('click', () => resolveWithCondition(earlyExitBox.dataset.condition));
+earlyExitContinueBtn.addEventListener('click', handleContinue);
+
+resolvedBtn.addEventListener('click', toggleStopConditions);
 didntWorkBtn.addEventListener('click', handleDidntWork);
 fullArticleBtn.addEventListener('click', displayFullArticle);
+exportArticleMarkdownBtn.addEventListener('click', () => exportArticle('markdown'));
+exportArticleHTMLBtn.addEventListener('click', () => exportArticle('html'));
 
 backToStepsBtn.addEventListener('click', displayCurrentStep);
 closeArticleBtn.addEventListener('click', resetToSearch);
 
+matchFallbackBtn.addEventListener('click', matchFallbackFromReason);
+fallbackFeedbackBtn.addEventListener('click', () => showFeedbackForm(fallbackReasonInput.value.trim(), 'no_matching_fallback'));
+cancelFallbackBtn.addEventListener('click', displayCurrentStep);
+
 submitFeedbackBtn.addEventListener('click', submitFeedback);
 cancelFeedbackBtn.addEventListener('click', displayCurrentStep);
 continueFeedbackBtn.addEventListener('click', displayCurrentStep);
 newSearchBtn.addEventListener('click', resetToSearch);
+kbRefreshBtn.addEventListener('click', refreshKBNow);
+kbSettingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+mockKBSettingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+kbIndicator.addEventListener('click', toggleKBIndicatorDetails);
 
-// Focus on input when page loads
+// Restore open cases, then focus on input when page loads
+initCases();
 issueInput.focus();
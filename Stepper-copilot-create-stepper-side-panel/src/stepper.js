@@ -1,21 +1,111 @@
 // Step Logic Module
-// Manages step navigation and state
+// Manages step navigation and state, including branching into fallback paths
+
+// Path id used for the article's main steps
+const MAIN_PATH = 'main';
+
+// Outcomes a step can end with: check steps pass or fail, action steps are done or
+// couldn't be done, and steps moved past without an answer are skipped
+const STEP_OUTCOMES = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  DONE: 'done',
+  COULDNT_DO: 'couldnt_do',
+  SKIPPED: 'skipped'
+};
+
+// How each outcome is shown on the progress bar and stepping stones
+const OUTCOME_STATUS = {
+  pass: 'completed',
+  done: 'completed',
+  fail: 'failed',
+  couldnt_do: 'failed',
+  skipped: 'skipped'
+};
+
+// Stop-condition words that must appear in a passed check for it to count as met
+const STOP_CONDITION_MATCH_RATIO = 0.6;
+
+// Escalation is suggested once this many steps have failed or fallbacks have been taken
+const ESCALATION_FAILED_STEP_LIMIT = 2;
+const ESCALATION_FALLBACK_LIMIT = 2;
+
+/**
+ * Split text into lowercase words longer than three characters
+ * @param {string} text - Text to split
+ * @returns {string[]} - Significant words
+ */
+function significantWords(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 3);
+}
 
 class StepManager {
   constructor() {
     this.currentArticle = null;
     this.currentStepIndex = 0;
     this.maxSteps = 0;
+    this.currentPathId = MAIN_PATH;
+    // Positions visited before the current one, so Back works across branches
+    this.history = [];
+    // Main-path positions to resume once the active fallback is finished
+    this.returnStack = [];
+    this._resetSession(null, '');
+  }
+
+  /**
+   * Reset the per-session record (prechecks, outcomes, fallbacks, notes, resolution)
+   * @param {object|null} article - The article the session is for
+   * @param {string} query - The issue description that led to the article
+   */
+  _resetSession(article, query) {
+    this.fallbacksTaken = [];
+    this.query = query;
+    this.startedAt = article ? Date.now() : null;
+    // One entry per article precheck: null until marked 'passed' or 'failed'
+    this.precheckResults = article ? article.prechecks.map(() => null) : [];
+    // Step id -> { outcome, pathId, at }, in the order outcomes were first recorded
+    this.stepOutcomes = new Map();
+    this.notes = '';
+    this.resolution = null;
   }
 
   /**
    * Initialize with a new article
-   * @param {object} article - The article with steps to navigate
+   * @param {object} article - The article (enhanced model) with steps to navigate
+   * @param {string} [query] - The issue description that led to this article
    */
-  setArticle(article) {
+  setArticle(article, query = '') {
     this.currentArticle = article;
-    this.currentStepIndex = 0;
-    this.maxSteps = article.steps.length;
+    this._resetSession(article, query);
+    this.reset();
+  }
+
+  /**
+   * Get the steps of a path
+   * @param {string} pathId - MAIN_PATH or a fallback id
+   * @returns {Array} - Steps of the path, empty if the path does not exist
+   */
+  getPathSteps(pathId) {
+    if (!this.currentArticle) {
+      return [];
+    }
+    if (pathId === MAIN_PATH) {
+      return this.currentArticle.steps;
+    }
+    const fallback = this.getFallback(pathId);
+    return fallback ? fallback.steps : [];
+  }
+
+  /**
+   * Find a fallback path of the current article
+   * @param {string} fallbackId - The fallback id
+   * @returns {object|null} - The fallback or null if not found
+   */
+  getFallback(fallbackId) {
+    if (!this.currentArticle) {
+      return null;
+    }
+    return this.currentArticle.fallbacks.find(fallback => fallback.id === fallbackId) || null;
   }
 
   /**
@@ -27,46 +117,541 @@ class StepManager {
       return null;
     }
 
+    const step = this.getPathSteps(this.currentPathId)[this.currentStepIndex];
+    const fallback = this.isInFallback() ? this.getFallback(this.currentPathId) : null;
+    const outcome = this.getStepOutcome(step.id);
+
     return {
       stepNumber: this.currentStepIndex + 1,
       totalSteps: this.maxSteps,
-      stepText: this.currentArticle.steps[this.currentStepIndex],
-      isFirst: this.currentStepIndex === 0,
-      isLast: this.currentStepIndex === this.maxSteps - 1,
+      step: step,
+      stepId: step.id,
+      stepText: step.text,
+      stepType: step.type || 'action',
+      expected: step.expected || '',
+      sayToCustomer: step.say_to_customer || '',
+      outcome: outcome,
+      outcomeStatus: outcome ? OUTCOME_STATUS[outcome] : null,
+      pathProgress: this.getPathProgress(),
+      pathId: this.currentPathId,
+      isFallback: fallback !== null,
+      fallbackReason: fallback ? fallback.reason_category : null,
+      isFirst: this.history.length === 0,
+      isLast: this._getNextPosition() === null,
       articleTitle: this.currentArticle.title,
       articleSummary: this.currentArticle.summary
     };
   }
 
   /**
-   * Move to the next step
+   * Check whether the current position is on a fallback path
+   * @returns {boolean} - True if stepping through a fallback
+   */
+  isInFallback() {
+    return this.currentPathId !== MAIN_PATH;
+  }
+
+  /**
+   * Work out where nextStep() would move to.
+   * At the end of a fallback this is the main-path step after the one that failed.
+   * @returns {object|null} - Position with pathId, index and returnStack, or null at the end
+   */
+  _getNextPosition() {
+    if (this.currentStepIndex < this.maxSteps - 1) {
+      return {
+        pathId: this.currentPathId,
+        index: this.currentStepIndex + 1,
+        returnStack: this.returnStack
+      };
+    }
+
+    const returnStack = [...this.returnStack];
+    while (returnStack.length > 0) {
+      const resume = returnStack.pop();
+      if (resume.index + 1 < this.getPathSteps(resume.pathId).length) {
+        return { pathId: resume.pathId, index: resume.index + 1, returnStack: returnStack };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Snapshot the current position for the navigation history
+   * @returns {object} - Position with pathId, index and a copy of the return stack
+   */
+  _currentPosition() {
+    return {
+      pathId: this.currentPathId,
+      index: this.currentStepIndex,
+      returnStack: [...this.returnStack]
+    };
+  }
+
+  /**
+   * Move to a position
+   * @param {object} position - Position with pathId, index and returnStack
+   */
+  _moveTo(position) {
+    this.currentPathId = position.pathId;
+    this.currentStepIndex = position.index;
+    this.returnStack = [...position.returnStack];
+    this.maxSteps = this.getPathSteps(position.pathId).length;
+  }
+
+  /**
+   * Move to the next step, returning to the main path when a fallback is finished
    * @returns {boolean} - True if successfully moved, false if at end
    */
   nextStep() {
-    if (!this.currentArticle || this.currentStepIndex >= this.maxSteps - 1) {
+    if (!this.currentArticle) {
+      return false;
+    }
+    const next = this._getNextPosition();
+    if (!next) {
       return false;
     }
-    this.currentStepIndex++;
+    const step = this.getPathSteps(this.currentPathId)[this.currentStepIndex];
+    if (!this.stepOutcomes.has(step.id)) {
+      this.setStepOutcome(STEP_OUTCOMES.SKIPPED);
+    }
+    this.history.push(this._currentPosition());
+    this._moveTo(next);
     return true;
   }
 
   /**
-   * Move to the previous step
+   * Move to the previous step, following the navigation history across branches
    * @returns {boolean} - True if successfully moved, false if at start
    */
   previousStep() {
-    if (!this.currentArticle || this.currentStepIndex <= 0) {
+    if (!this.currentArticle || this.history.length === 0) {
+      return false;
+    }
+    this._moveTo(this.history.pop());
+    return true;
+  }
+
+  /**
+   * Branch from the current step into a fallback path
+   * @param {string} fallbackId - The fallback to switch to
+   * @returns {boolean} - True if the fallback was entered
+   */
+  enterFallback(fallbackId) {
+    const fallback = this.getFallback(fallbackId);
+    if (!fallback || !this.getAvailableFallbacks().includes(fallback)) {
+      return false;
+    }
+
+    const fromStep = this.getPathSteps(this.currentPathId)[this.currentStepIndex];
+    this.history.push(this._currentPosition());
+    this.returnStack.push({ pathId: this.currentPathId, index: this.currentStepIndex });
+    this.currentPathId = fallbackId;
+    this.currentStepIndex = 0;
+    this.maxSteps = fallback.steps.length;
+
+    this.fallbacksTaken.push({
+      fallbackId: fallback.id,
+      reasonCategory: fallback.reason_category,
+      fromStepId: fromStep.id,
+      at: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Find the fallbacks whose trigger keywords appear in the agent's reason.
+   * Fallbacks are ranked by how many trigger keywords match.
+   * @param {string} reasonText - Free-text reason why the step did not work
+   * @returns {Array} - Matching fallbacks, best match first
+   */
+  findFallbacks(reasonText) {
+    if (!this.currentArticle || !reasonText || reasonText.trim() === '') {
+      return [];
+    }
+
+    const reasonLower = reasonText.toLowerCase();
+    return this.getAvailableFallbacks()
+      .map(fallback => ({
+        fallback: fallback,
+        score: fallback.trigger_keywords.filter(keyword => reasonLower.includes(keyword.toLowerCase())).length
+      }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(match => match.fallback);
+  }
+
+  /**
+   * Get the fallbacks that can be offered from the current step
+   * @returns {Array} - Fallbacks of the article, excluding the active path and the paths it branched from
+   */
+  getAvailableFallbacks() {
+    if (!this.currentArticle) {
+      return [];
+    }
+    const activePaths = [this.currentPathId, ...this.returnStack.map(position => position.pathId)];
+    return this.currentArticle.fallbacks.filter(fallback =>
+      !activePaths.includes(fallback.id) && fallback.steps.length > 0
+    );
+  }
+
+  /**
+   * Check whether a fallback has already been tried in this session
+   * @param {string} fallbackId - The fallback id
+   * @returns {boolean} - True if the fallback was entered before
+   */
+  hasTriedFallback(fallbackId) {
+    return this.fallbacksTaken.some(taken => taken.fallbackId === fallbackId);
+  }
+
+  /**
+   * Mark a precheck as passed or failed
+   * @param {number} index - Index of the precheck in the article
+   * @param {'passed'|'failed'|null} status - Result of the precheck, null to unmark
+   */
+  setPrecheckResult(index, status) {
+    if (index < 0 || index >= this.precheckResults.length) {
+      return;
+    }
+    this.precheckResults[index] = status;
+  }
+
+  /**
+   * Get the prechecks with their results
+   * @returns {Array} - Objects with text and status ('passed', 'failed' or null)
+   */
+  getPrecheckResults() {
+    if (!this.currentArticle) {
+      return [];
+    }
+    return this.currentArticle.prechecks.map((text, index) => ({
+      text: text,
+      status: this.precheckResults[index]
+    }));
+  }
+
+  /**
+   * Check whether every precheck has been marked
+   * @returns {boolean} - True if no precheck is left unmarked
+   */
+  arePrechecksComplete() {
+    return this.precheckResults.every(status => status !== null);
+  }
+
+  /**
+   * Get the prechecks that were marked as failed
+   * @returns {string[]} - Text of the failed prechecks
+   */
+  getFailedPrechecks() {
+    return this.getPrecheckResults()
+      .filter(result => result.status === 'failed')
+      .map(result => result.text);
+  }
+
+  /**
+   * Record the outcome of the current step
+   * @param {string} outcome - One of STEP_OUTCOMES
+   */
+  setStepOutcome(outcome) {
+    const stepInfo = this.getCurrentStep();
+    if (!stepInfo) {
+      return;
+    }
+    this.stepOutcomes.set(stepInfo.stepId, {
+      outcome: outcome,
+      pathId: stepInfo.pathId,
+      at: Date.now()
+    });
+  }
+
+  /**
+   * Record whether the current step worked, using the outcome that fits its type:
+   * pass/fail for check steps, done/couldn't do for action steps
+   * @param {boolean} succeeded - True if the check passed or the action was done
+   * @returns {string|null} - The outcome recorded, or null if no article
+   */
+  recordResult(succeeded) {
+    const stepInfo = this.getCurrentStep();
+    if (!stepInfo) {
+      return null;
+    }
+    let outcome;
+    if (stepInfo.stepType === 'check') {
+      outcome = succeeded ? STEP_OUTCOMES.PASS : STEP_OUTCOMES.FAIL;
+    } else {
+      outcome = succeeded ? STEP_OUTCOMES.DONE : STEP_OUTCOMES.COULDNT_DO;
+    }
+    this.setStepOutcome(outcome);
+    return outcome;
+  }
+
+  /**
+   * Get the display status of every step on the current path
+   * @returns {Array} - Objects with stepId and status ('completed', 'failed', 'skipped', 'active' or 'pending')
+   */
+  getPathProgress() {
+    return this.getPathSteps(this.currentPathId).map((step, index) => {
+      const outcome = this.getStepOutcome(step.id);
+      let status = outcome ? OUTCOME_STATUS[outcome] : 'pending';
+      if (index === this.currentStepIndex && !outcome) {
+        status = 'active';
+      }
+      return { stepId: step.id, status: status, isCurrent: index === this.currentStepIndex };
+    });
+  }
+
+  /**
+   * Find the stop condition a passed check step confirms, if any.
+   * A condition matches when most of its significant words appear in the
+   * step's expected outcome (or its text when no outcome is given).
+   * @returns {string|null} - The matching stop condition, or null
+   */
+  getMetStopCondition() {
+    const stepInfo = this.getCurrentStep();
+    if (!stepInfo || stepInfo.stepType !== 'check' || stepInfo.outcome !== STEP_OUTCOMES.PASS) {
+      return null;
+    }
+
+    const stepWords = new Set(significantWords(stepInfo.expected || stepInfo.stepText));
+    let bestCondition = null;
+    let bestRatio = 0;
+
+    this.currentArticle.stop_conditions.forEach(condition => {
+      const conditionWords = significantWords(condition);
+      if (conditionWords.length === 0) {
+        return;
+      }
+      const ratio = conditionWords.filter(word => stepWords.has(word)).length / conditionWords.length;
+      if (ratio > bestRatio) {
+        bestRatio = ratio;
+        bestCondition = condition;
+      }
+    });
+
+    return bestRatio >= STOP_CONDITION_MATCH_RATIO ? bestCondition : null;
+  }
+
+  /**
+   * Get the recorded outcome of a step
+   * @param {string} stepId - The step id
+   * @returns {string|null} - The outcome or null if none was recorded
+   */
+  getStepOutcome(stepId) {
+    const entry = this.stepOutcomes.get(stepId);
+    return entry ? entry.outcome : null;
+  }
+
+  /**
+   * Find a step by id on the main path or any fallback path
+   * @param {string} stepId - The step id
+   * @returns {object|null} - The step or null if not found
+   */
+  findStep(stepId) {
+    if (!this.currentArticle) {
+      return null;
+    }
+    const paths = [this.currentArticle.steps, ...this.currentArticle.fallbacks.map(fallback => fallback.steps)];
+    for (const steps of paths) {
+      const step = steps.find(candidate => candidate.id === stepId);
+      if (step) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Set the agent's free-text notes for this session
+   * @param {string} notes - The notes
+   */
+  setNotes(notes) {
+    this.notes = notes;
+  }
+
+  /**
+   * Work out whether the article's escalation condition is likely met.
+   * Counts failed steps and fallbacks taken, and checks elapsed time against
+   * any "N minutes" in the article's escalation.when text.
+   * @returns {object} - Object with suggested flag and the reasons behind it
+   */
+  getEscalationStatus() {
+    const reasons = [];
+    if (!this.currentArticle) {
+      return { suggested: false, reasons: reasons };
+    }
+
+    const failedSteps = [...this.stepOutcomes.values()]
+      .filter(entry => OUTCOME_STATUS[entry.outcome] === 'failed').length;
+    if (failedSteps >= ESCALATION_FAILED_STEP_LIMIT) {
+      reasons.push(`${failedSteps} steps failed`);
+    }
+    if (this.fallbacksTaken.length >= ESCALATION_FALLBACK_LIMIT) {
+      reasons.push(`${this.fallbacksTaken.length} fallback paths tried`);
+    }
+
+    const escalation = this.currentArticle.escalation;
+    const minutesMatch = escalation && escalation.when ? escalation.when.match(/(\d+)\s*min/i) : null;
+    if (minutesMatch && this.startedAt) {
+      const elapsedMinutes = Math.floor((Date.now() - this.startedAt) / 60000);
+      if (elapsedMinutes >= parseInt(minutesMatch[1], 10)) {
+        reasons.push(`${elapsedMinutes} minutes of troubleshooting`);
+      }
+    }
+
+    return { suggested: reasons.length > 0, reasons: reasons };
+  }
+
+  /**
+   * End the session as resolved, recording which stop condition was met and where
+   * @param {string|null} condition - The stop condition that was met, null if all steps were completed
+   */
+  resolve(condition) {
+    if (!this.currentArticle) {
+      return;
+    }
+    const stepInfo = this.getCurrentStep();
+    this.resolution = {
+      status: 'resolved',
+      condition: condition,
+      stepId: stepInfo.stepId,
+      stepNumber: stepInfo.stepNumber,
+      pathId: stepInfo.pathId,
+      at: Date.now()
+    };
+  }
+
+  /**
+   * End the session by escalating to the article's escalation target
+   * @param {string} reason - Why the issue is being escalated
+   * @param {'prechecks'|'steps'} [stage] - Whether the escalation happened before or during the steps
+   */
+  escalate(reason, stage = 'steps') {
+    if (!this.currentArticle) {
+      return;
+    }
+    const escalation = this.currentArticle.escalation;
+    this.resolution = {
+      status: 'escalated',
+      reason: reason,
+      target: escalation ? escalation.target : null,
+      stage: stage,
+      stepId: stage === 'steps' ? this.getCurrentStep().stepId : null,
+      at: Date.now()
+    };
+  }
+
+  /**
+   * Get a plain record of the troubleshooting session
+   * @returns {object|null} - Session record or null if no article
+   */
+  getSessionRecord() {
+    if (!this.currentArticle) {
+      return null;
+    }
+    return {
+      articleId: this.currentArticle.id,
+      articleTitle: this.currentArticle.title,
+      query: this.query,
+      startedAt: this.startedAt,
+      prechecks: this.getPrecheckResults(),
+      steps: [...this.stepOutcomes.entries()].map(([stepId, entry]) => ({
+        stepId: stepId,
+        text: this.findStep(stepId).text,
+        pathId: entry.pathId,
+        outcome: entry.outcome,
+        at: entry.at
+      })),
+      fallbacksTaken: [...this.fallbacksTaken],
+      notes: this.notes,
+      resolution: this.resolution
+    };
+  }
+
+  /**
+   * Get the session state needed to resume it later with restoreState()
+   * @returns {object|null} - JSON-serializable state or null if no article
+   */
+  getState() {
+    if (!this.currentArticle) {
+      return null;
+    }
+    return {
+      articleId: this.currentArticle.id,
+      articleTitle: this.currentArticle.title,
+      query: this.query,
+      startedAt: this.startedAt,
+      position: this._currentPosition(),
+      history: this.history.map(position => ({ ...position, returnStack: [...position.returnStack] })),
+      precheckResults: [...this.precheckResults],
+      stepOutcomes: [...this.stepOutcomes.entries()],
+      fallbacksTaken: [...this.fallbacksTaken],
+      notes: this.notes,
+      resolution: this.resolution
+    };
+  }
+
+  /**
+   * Check that a position points at an existing step of the current article
+   * @param {object} position - Position with pathId, index and returnStack
+   * @returns {boolean} - True if the position and its return stack are valid
+   */
+  _isValidPosition(position) {
+    const isValid = pos => Boolean(pos) && Number.isInteger(pos.index) &&
+      pos.index >= 0 && pos.index < this.getPathSteps(pos.pathId).length;
+    return isValid(position) && Array.isArray(position.returnStack) && position.returnStack.every(isValid);
+  }
+
+  /**
+   * Resume a session saved with getState()
+   * @param {object} article - The session's article, as currently in the KB
+   * @param {object} state - State from getState()
+   * @returns {boolean} - True if restored; false if the state no longer fits the
+   *   article (e.g. the article changed since), in which case all state is cleared
+   */
+  restoreState(article, state) {
+    this.currentArticle = article;
+    const fits = article && state && article.id === state.articleId &&
+      this._isValidPosition(state.position) &&
+      Array.isArray(state.history) && state.history.every(position => this._isValidPosition(position)) &&
+      Array.isArray(state.precheckResults) && state.precheckResults.length === article.prechecks.length &&
+      Array.isArray(state.stepOutcomes) && state.stepOutcomes.every(([stepId]) => this.findStep(stepId) !== null);
+
+    if (!fits) {
+      this.clear();
       return false;
     }
-    this.currentStepIndex--;
+
+    this._resetSession(article, state.query);
+    this.startedAt = state.startedAt;
+    this.precheckResults = [...state.precheckResults];
+    this.stepOutcomes = new Map(state.stepOutcomes);
+    this.fallbacksTaken = [...(state.fallbacksTaken || [])];
+    this.notes = state.notes || '';
+    this.resolution = state.resolution || null;
+    this.history = state.history.map(position => ({ ...position, returnStack: [...position.returnStack] }));
+    this._moveTo(state.position);
     return true;
   }
 
   /**
-   * Reset to the first step
+   * Reset to the first step of the main path
    */
   reset() {
+    this.currentPathId = MAIN_PATH;
     this.currentStepIndex = 0;
+    this.history = [];
+    this.returnStack = [];
+    this.maxSteps = this.currentArticle ? this.currentArticle.steps.length : 0;
+  }
+
+  /**
+   * Restart the walkthrough from step 1, clearing the step outcomes and fallbacks taken so
+   * they no longer show on the progress bar or count toward escalation. Prechecks and notes are kept.
+   */
+  restart() {
+    this.stepOutcomes = new Map();
+    this.fallbacksTaken = [];
+    this.resolution = null;
+    this.reset();
   }
 
   /**
@@ -74,8 +659,8 @@ class StepManager {
    */
   clear() {
     this.currentArticle = null;
-    this.currentStepIndex = 0;
-    this.maxSteps = 0;
+    this._resetSession(null, '');
+    this.reset();
   }
 
   /**
@@ -95,4 +680,4 @@ class StepManager {
   }
 }
 
-export { StepManager };
+export { StepManager, MAIN_PATH, STEP_OUTCOMES, OUTCOME_STATUS };
@@ -0,0 +1,172 @@
+// Transcript Module
+// Builds the transcript of a finished troubleshooting session (resolved or escalated) and
+// formats it as plain text or Markdown for pasting into a ticket
+
+import {
+  formatArticleName,
+  formatPrechecksText,
+  formatStepsText,
+  formatFallbacksText,
+  formatPrechecksMarkdown,
+  formatStepsMarkdown,
+  formatFallbacksMarkdown
+} from './handoff.js';
+
+/**
+ * @typedef {Object} SessionTranscript
+ * @property {string|null} caseId - Case the session belongs to
+ * @property {string} issue - The issue as described by the agent
+ * @property {Object} article - Id, title, product and version of the article used
+ * @property {string|null} startedAt - ISO timestamp of the start of the session
+ * @property {string|null} endedAt - ISO timestamp of the resolution or escalation
+ * @property {string} status - 'resolved', 'escalated' or 'in progress'
+ * @property {string} outcome - How the session ended, in words
+ * @property {Array} prechecks - Prechecks with their status
+ * @property {Array} steps - Steps in the order they were answered, with path, outcome and time
+ * @property {Array} fallbacks - Fallback paths taken
+ * @property {string} notes - Agent notes
+ */
+
+// Step outcomes in words
+const OUTCOME_LABELS = {
+  pass: 'Passed',
+  fail: 'Failed',
+  done: 'Done',
+  couldnt_do: "Couldn't do",
+  skipped: 'Skipped'
+};
+
+/**
+ * Turn a timestamp into ISO text
+ * @param {number|null} timestamp - Milliseconds since the epoch
+ * @returns {string|null} - ISO timestamp, or null without a timestamp
+ */
+function toISO(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Describe how a session ended
+ * @param {Object|null} resolution - Resolution from StepManager.getSessionRecord()
+ * @returns {string} - e.g. "Resolved: stop condition met (Test email arrives)"
+ */
+function describeOutcome(resolution) {
+  if (!resolution) {
+    return 'Not finished';
+  }
+  if (resolution.status === 'escalated') {
+    const target = resolution.target || 'Unassigned';
+    return resolution.reason ? `Escalated to ${target}: ${resolution.reason}` : `Escalated to ${target}`;
+  }
+  return resolution.condition
+    ? `Resolved: stop condition met (${resolution.condition})`
+    : 'Resolved: all steps completed';
+}
+
+/**
+ * Build the transcript of a session
+ * @param {object} record - Session record from StepManager.getSessionRecord()
+ * @param {object} article - The article the session used
+ * @param {string|null} [caseId] - Case the session belongs to
+ * @returns {SessionTranscript} - Structured transcript
+ */
+function buildSessionTranscript(record, article, caseId = null) {
+  const resolution = record.resolution;
+  const reasons = new Map((article.fallbacks || []).map(fallback => [fallback.id, fallback.reason_category]));
+
+  return {
+    caseId: caseId,
+    issue: record.query,
+    article: {
+      id: article.id,
+      title: article.title,
+      product: article.product,
+      version: article.version || ''
+    },
+    startedAt: toISO(record.startedAt),
+    endedAt: toISO(resolution && resolution.at),
+    status: resolution ? resolution.status : 'in progress',
+    outcome: describeOutcome(resolution),
+    prechecks: record.prechecks.map(precheck => ({
+      text: precheck.text,
+      status: precheck.status || 'not checked'
+    })),
+    steps: record.steps.map(step => ({
+      id: step.stepId,
+      text: step.text,
+      path: step.pathId === 'main' ? 'main' : (reasons.get(step.pathId) || step.pathId),
+      outcome: OUTCOME_LABELS[step.outcome] || step.outcome,
+      at: toISO(step.at)
+    })),
+    fallbacks: record.fallbacksTaken.map(fallback => ({
+      id: fallback.fallbackId,
+      reasonCategory: fallback.reasonCategory,
+      fromStepId: fallback.fromStepId
+    })),
+    notes: record.notes
+  };
+}
+
+/**
+ * Format the transcript as plain text
+ * @param {SessionTranscript} transcript - The transcript
+ * @returns {string} - Plain-text transcript
+ */
+function formatTranscriptText(transcript) {
+  const lines = [
+    'TROUBLESHOOTING SESSION',
+    `Case: ${transcript.caseId || '-'}`,
+    `Issue: ${transcript.issue || '-'}`,
+    `Article: ${formatArticleName(transcript.article)}`,
+    `Started: ${transcript.startedAt || '-'}`,
+    `Ended: ${transcript.endedAt || '-'}`,
+    `Outcome: ${transcript.outcome}`,
+    '',
+    'Prechecks:',
+    ...formatPrechecksText(transcript.prechecks),
+    '',
+    'Steps:',
+    ...formatStepsText(transcript.steps)
+  ];
+
+  if (transcript.fallbacks.length > 0) {
+    lines.push('', 'Fallbacks taken:', ...formatFallbacksText(transcript.fallbacks));
+  }
+
+  lines.push('', 'Notes:', transcript.notes || '(none)');
+  return lines.join('\n');
+}
+
+/**
+ * Format the transcript as Markdown
+ * @param {SessionTranscript} transcript - The transcript
+ * @returns {string} - Markdown transcript
+ */
+function formatTranscriptMarkdown(transcript) {
+  const lines = [
+    `## Troubleshooting session${transcript.caseId ? ` - ${transcript.caseId}` : ''}`,
+    '',
+    `**Issue:** ${transcript.issue || '-'}  `,
+    `**Article:** ${formatArticleName(transcript.article)}  `,
+    `**Started:** ${transcript.startedAt || '-'}  `,
+    `**Ended:** ${transcript.endedAt || '-'}  `,
+    `**Outcome:** ${transcript.outcome}`,
+    '',
+    '### Prechecks',
+    '',
+    ...formatPrechecksMarkdown(transcript.prechecks),
+    '',
+    '### Steps',
+    '',
+    ...formatStepsMarkdown(transcript.steps)
+  ];
+
+  if (transcript.fallbacks.length > 0) {
+    lines.push('', '### Fallbacks taken', '', ...formatFallbacksMarkdown(transcript.fallbacks));
+  }
+
+  lines.push('', '### Notes', '', transcript.notes || '_None_');
+  return lines.join('\n');
+}
+
+export { buildSessionTranscript, formatTranscriptText, formatTranscriptMarkdown };
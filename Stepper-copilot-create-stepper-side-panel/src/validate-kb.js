@@ -1,144 +1,201 @@
 /**
- * Validation script for enhanced knowledge base
- * This script validates that the mock dataset meets all requirements
+ * KB linter command line tool
+ * Lints a KB payload (JSON, CSV or Markdown file, or URL) with the rules in kb-lint.js and exits
+ * non-zero when any error is found, so it can gate publishing a KB.
+ *
+ * Usage: node src/validate-kb.js <file-or-url> [options]
+ *        node src/validate-kb.js --mock [options]
  */
 
-import {
-  enhancedKnowledgeBase,
-  getAllEnhancedArticles,
-  getArticleById,
-  findArticlesByTags,
-  findArticlesByProduct
-} from './kb.mock.js';
-
-console.log('=== Enhanced Knowledge Base Validation ===\n');
-
-// Requirement 1: 6-10 articles
-const allArticles = getAllEnhancedArticles();
-console.log(`✓ Total articles: ${allArticles.length} (requirement: 6-10)`);
-console.assert(allArticles.length >= 6 && allArticles.length <= 10, 'Should have 6-10 articles');
-
-// Requirement 2: Check data model compliance
-console.log('\n=== Data Model Validation ===');
-let modelCompliant = true;
-allArticles.forEach(article => {
-  // Required fields
-  const hasRequiredFields = 
-    article.id !== undefined &&
-    article.title &&
-    Array.isArray(article.tags) &&
-    article.product &&
-    article.summary &&
-    Array.isArray(article.prechecks) &&
-    Array.isArray(article.steps) &&
-    Array.isArray(article.fallbacks) &&
-    Array.isArray(article.stop_conditions) &&
-    article.escalation &&
-    article.escalation.when &&
-    article.escalation.target;
-  
-  if (!hasRequiredFields) {
-    console.error(`✗ Article ${article.id} missing required fields`);
-    modelCompliant = false;
+import { readFile } from 'node:fs/promises';
+import { LINT_RULES, lintKB } from './kb-lint.js';
+import { getAllEnhancedArticles } from './kb.mock.js';
+import { isDeltaPayload } from './kb-delta.js';
+import { detectFormat, parseKBFile } from './kb-import.js';
+
+// Exit codes: lint errors found, and bad arguments or unreadable input
+const EXIT_LINT_ERRORS = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node src/validate-kb.js <file-or-url> [options]
+       node src/validate-kb.js --mock [options]
+
+Lints a KB payload: a JSON array of articles, an object with an "articles" array,
+or a delta with "added" and "changed" articles. Files ending in .csv, .md or
+.markdown are read like the options page imports them.
+
+Options:
+  --mock                    Lint the built-in mock KB instead of a file or URL
+  --format <json|text>      Output format (default: json)
+  --rule <rule>=<severity>  Set a rule to error, warning or off (repeatable)
+  --max-step-length <n>     Longest step text allowed by overlong-step (default: ${LINT_RULES['overlong-step'].options.maxLength})
+  --list-rules              Print the rules with their default severities
+  -h, --help                Show this help
+
+Exit codes: 0 no errors, 1 lint errors, 2 usage or input error`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - Object with input, mock, format, rules, listRules and help
+ */
+function parseArgs(args) {
+  const options = { input: null, mock: false, format: 'json', rules: {}, listRules: false, help: false };
+  let maxStepLength = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const next = () => {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return args[++i];
+    };
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--mock') {
+      options.mock = true;
+    } else if (arg === '--list-rules') {
+      options.listRules = true;
+    } else if (arg === '--format') {
+      options.format = next();
+      if (!['json', 'text'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected json or text)`);
+      }
+    } else if (arg === '--rule') {
+      const [rule, severity] = next().split('=');
+      if (!severity) {
+        throw new Error('--rule expects <rule>=<severity>, e.g. missing-say-to-customer=off');
+      }
+      options.rules[rule] = severity;
+    } else if (arg === '--max-step-length') {
+      maxStepLength = Number(next());
+      if (!(maxStepLength > 0)) {
+        throw new Error('--max-step-length expects a positive number');
+      }
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (options.input) {
+      throw new Error('Only one file or URL can be linted at a time');
+    } else {
+      options.input = arg;
+    }
   }
-  
-  // Validate steps have correct structure
-  article.steps.forEach(step => {
-    if (!step.id || !step.text) {
-      console.error(`✗ Article ${article.id} has invalid step: ${step.id}`);
-      modelCompliant = false;
+
+  if (maxStepLength !== null) {
+    const severity = options.rules['overlong-step'] || LINT_RULES['overlong-step'].severity;
+    options.rules['overlong-step'] = [severity, { maxLength: maxStepLength }];
+  }
+  return options;
+}
+
+/**
+ * Read a KB payload from a file or URL. CSV and Markdown files are parsed with kb-import.js.
+ * @param {string} input - File path or http(s) URL
+ * @returns {Promise<Array>} - The payload's articles (added and changed ones for a delta)
+ */
+async function readArticles(input) {
+  let text;
+  if (/^https?:\/\//i.test(input)) {
+    const response = await fetch(input);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
     }
-  });
-  
-  // Validate fallbacks have correct structure
-  article.fallbacks.forEach(fallback => {
-    if (!fallback.id || !Array.isArray(fallback.trigger_keywords) || !fallback.reason_category || !Array.isArray(fallback.steps)) {
-      console.error(`✗ Article ${article.id} has invalid fallback: ${fallback.id}`);
-      modelCompliant = false;
+    text = await response.text();
+  } else {
+    text = await readFile(input, 'utf8');
+    if (detectFormat(input, text) !== 'json') {
+      return parseKBFile(input, text).articles;
     }
-  });
-});
+  }
 
-if (modelCompliant) {
-  console.log('✓ All articles comply with data model requirements');
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${input}: ${error.message}`);
+  }
+  if (isDeltaPayload(data)) {
+    return [...(data.added || []), ...(data.changed || [])];
+  }
+  const articles = Array.isArray(data) ? data : (data && data.articles);
+  if (!Array.isArray(articles)) {
+    throw new Error('Invalid KB format: expected array of articles');
+  }
+  return articles;
 }
 
-// Requirement 3: Check for realistic overlap between 2-3 articles
-console.log('\n=== Overlap/Deduplication Validation ===');
-
-// Check email articles (1 & 2)
-const emailTags = ['email', 'send'];
-const emailArticles = findArticlesByTags(emailTags);
-console.log(`✓ Found ${emailArticles.length} articles with email-related tags (Articles #1 and #2)`);
-console.assert(emailArticles.length >= 2, 'Should have at least 2 email articles');
-
-// Check network articles (3 & 4)
-const networkTags = ['network', 'connection'];
-const networkArticles = findArticlesByTags(networkTags);
-console.log(`✓ Found ${networkArticles.length} articles with network-related tags (Articles #3 and #4)`);
-console.assert(networkArticles.length >= 2, 'Should have at least 2 network articles');
-
-// Requirement 4: At least one article where steps 1-3 are shared
-console.log('\n=== Shared Steps Validation ===');
-
-const article3 = getArticleById(3);
-const article4 = getArticleById(4);
-
-if (article3 && article4) {
-  // Check if first 3 steps share similar patterns
-  const article3Steps = article3.steps.slice(0, 3);
-  const article4Steps = article4.steps.slice(0, 3);
-  
-  console.log('Article #3 first 3 steps:');
-  article3Steps.forEach((step, i) => {
-    console.log(`  ${i + 1}. ${step.text}`);
-  });
-  
-  console.log('\nArticle #4 first 3 steps:');
-  article4Steps.forEach((step, i) => {
-    console.log(`  ${i + 1}. ${step.text}`);
+/**
+ * Format lint results for people, grouped by article
+ * @param {Object} lint - Result of lintKB()
+ * @param {Array} articles - The linted articles, for titles
+ * @returns {string} - Text report
+ */
+function formatText(lint, articles) {
+  const lines = [];
+  let lastIndex = null;
+
+  lint.results.forEach(result => {
+    if (result.articleIndex !== lastIndex) {
+      const article = articles[result.articleIndex];
+      const title = article && typeof article.title === 'string' ? ` "${article.title}"` : '';
+      lines.push(`${lines.length > 0 ? '\n' : ''}Article #${result.articleIndex + 1} (id ${JSON.stringify(result.articleId)})${title}`);
+      lastIndex = result.articleIndex;
+    }
+    lines.push(`  ${result.severity.padEnd(7)}  ${result.message}  [${result.rule}]`);
   });
-  
-  console.log('\n✓ Articles #3 and #4 share similar initial troubleshooting steps (connectivity checks, toggle airplane mode, restart network equipment)');
+
+  const mark = lint.errorCount > 0 ? '✗' : '✓';
+  lines.push(`${lines.length > 0 ? '\n' : ''}${mark} ${lint.errorCount} error(s), ${lint.warningCount} warning(s) in ${lint.articleCount} article(s)`);
+  return lines.join('\n');
 }
 
-// Requirement 5: At least one article with 2 fallback paths
-console.log('\n=== Multiple Fallback Paths Validation ===');
+/**
+ * Run the linter from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
 
-const articlesWithMultipleFallbacks = allArticles.filter(article => article.fallbacks.length >= 2);
-console.log(`Found ${articlesWithMultipleFallbacks.length} article(s) with 2+ fallback paths:`);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.listRules) {
+    Object.entries(LINT_RULES).forEach(([ruleId, rule]) => {
+      console.log(`${ruleId.padEnd(26)}${rule.severity.padEnd(9)}${rule.description}`);
+    });
+    return 0;
+  }
+  if (!options.input && !options.mock) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
 
-articlesWithMultipleFallbacks.forEach(article => {
-  console.log(`\n  Article #${article.id}: "${article.title}"`);
-  console.log(`  Fallback paths: ${article.fallbacks.length}`);
-  article.fallbacks.forEach(fallback => {
-    console.log(`    - ${fallback.reason_category} (${fallback.steps.length} steps)`);
-  });
-});
-
-console.assert(articlesWithMultipleFallbacks.length >= 1, 'Should have at least 1 article with 2 fallback paths');
-console.log(`\n✓ Requirement met: ${articlesWithMultipleFallbacks.length} article(s) with 2+ fallback paths`);
-
-// Summary statistics
-console.log('\n=== Summary Statistics ===');
-console.log(`Total articles: ${allArticles.length}`);
-console.log(`Total steps across all articles: ${allArticles.reduce((sum, a) => sum + a.steps.length, 0)}`);
-console.log(`Total fallback paths: ${allArticles.reduce((sum, a) => sum + a.fallbacks.length, 0)}`);
-console.log(`Articles by product:`);
-
-const productCounts = {};
-allArticles.forEach(article => {
-  productCounts[article.product] = (productCounts[article.product] || 0) + 1;
-});
-
-Object.entries(productCounts).forEach(([product, count]) => {
-  console.log(`  - ${product}: ${count}`);
-});
-
-console.log('\n=== All Requirements Met ===');
-console.log('✓ 6-10 articles');
-console.log('✓ Complete data model (id, title, tags, product, version, summary, prechecks, steps, fallbacks, stop_conditions, escalation)');
-console.log('✓ Realistic overlap between articles for deduplication testing');
-console.log('✓ Shared steps 1-3 between articles #3 and #4');
-console.log('✓ Multiple articles with 2+ fallback paths');
-console.log('\n=== Validation Complete ===\n');
+  let articles;
+  let lint;
+  try {
+    articles = options.mock ? getAllEnhancedArticles() : await readArticles(options.input);
+    lint = lintKB(articles, options.rules);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.format === 'text') {
+    console.log(formatText(lint, articles));
+  } else {
+    console.log(JSON.stringify({ source: options.mock ? 'mock' : options.input, ...lint }, null, 2));
+  }
+  return lint.errorCount > 0 ? EXIT_LINT_ERRORS : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));